@@ -67,19 +67,46 @@ program
   .description('Migrate a Basecamp card table to a Fizzy board')
   .option('--project <id>', 'Basecamp project ID (or use context)')
   .option('--cardtable <id>', 'Basecamp card table ID (or use context)')
+  .option('--all-cardtables', 'Migrate every card table in the project, one after the other', false)
   .option('--account <slug>', 'Fizzy account slug (or use context)')
   .option('--board <id>', 'Existing Fizzy board ID (or use context)')
-  .option('--create-board <name>', 'Create a new board with this name')
+  .option('--create-board <name>', 'Create a new board with this name ({project} and {cardtable} are filled in)')
   .option('--migrate-comments', 'Migrate card comments (slower)', false)
+  .option('--no-attachments', 'Do not copy attachments and inline images to Fizzy')
+  .option('--due-dates <mode>', 'How to carry over due dates: description, none (default: description)')
+  .option('--step-assignees <strategy>', 'How to carry over step assignees: title, card, comment, none (default: none)')
+  .option('--provenance <mode>', 'Add original creator, dates and Basecamp link to cards: always, unmapped, never (default: never)')
+  .option('--provenance-position <position>', 'Where the provenance note goes: header, footer (default: footer)')
+  .option('--identity-tag', 'Also tag each card with basecamp-<id> for duplicate detection', false)
   .option('--update-existing', 'Update cards that were previously migrated', false)
   .option('--skip-user-mapping', 'Skip interactive user mapping', false)
   .option('-y, --yes', 'Skip confirmation prompts', false)
   .option('--dry-run', 'Show what would be migrated without making changes', false)
+  .option('--report <file>', 'Save the dry run plan as JSON or CSV (with --dry-run)')
   .option('--batch-size <number>', 'Number of cards to process in parallel', '10')
   .option('--no-context', 'Ignore current context')
-  .action(async (options) => {
+  .option('--plan <file>', 'Read source, target, mappings and options from a YAML or JSON plan (flags win)')
+  .option('--map-columns', 'Choose what happens to each Basecamp column and save it as a preset', false)
+  .option('--column-order', 'Reorder Fizzy columns to match the Basecamp column order', false)
+  .option('--recolor-columns', 'Give matched Fizzy columns the color of their Basecamp column', false)
+  .option('--on-hold <action>', 'What to do with cards in "On hold" sections: tag, column, not_now, keep', 'tag')
+  .action(async (options, command) => {
     const { migrateCommand } = await import('./commands/migrate.js');
-    await migrateCommand(options);
+    await migrateCommand(options, command);
+  });
+
+// Migrate batch command
+program
+  .command('migrate-batch <manifest>')
+  .description('Migrate the card tables listed in a JSON manifest, one after the other')
+  .option('--skip-user-mapping', 'Skip the shared user mapping pass', false)
+  .option('-y, --yes', 'Skip confirmation prompts', false)
+  .option('--dry-run', 'Show what would be migrated without making changes', false)
+  .option('--batch-size <number>', 'Number of cards to process in parallel', '10')
+  .option('--plan <file>', 'Apply the column, user and tag overrides of a plan file to every card table')
+  .action(async (manifest, options) => {
+    const { migrateBatchCommand } = await import('./commands/migrate-batch.js');
+    await migrateBatchCommand(manifest, options);
   });
 
 // Resume command
@@ -91,6 +118,59 @@ program
     await resumeCommand(migrationId);
   });
 
+// Rollback command
+program
+  .command('rollback <migrationId>')
+  .description('Delete the cards, columns and board a migration created')
+  .option('--close', 'Close cards instead of deleting them', false)
+  .option('--delete-board', 'Also delete the board if the migration created it', false)
+  .option('--dry-run', 'Show what would be removed without making changes', false)
+  .action(async (migrationId, options) => {
+    const { rollbackCommand } = await import('./commands/rollback.js');
+    await rollbackCommand(migrationId, options);
+  });
+
+// Sync command
+program
+  .command('sync <migrationId>')
+  .description('Sync cards changed in Basecamp since the last run into the Fizzy board')
+  .action(async (migrationId) => {
+    const { syncCommand } = await import('./commands/sync.js');
+    await syncCommand(migrationId);
+  });
+
+// Verify command
+program
+  .command('verify <migrationId>')
+  .description('Check every migrated card against Basecamp (exit 0 pass, 1 fail, 2 error)')
+  .option('--failures-only', 'Only list cards that failed')
+  .action(async (migrationId, options) => {
+    const { verifyCommand } = await import('./commands/verify.js');
+    await verifyCommand(migrationId, options);
+  });
+
+// Relink command
+program
+  .command('relink [migrationId]')
+  .description('Rewrite links between Basecamp cards to the migrated Fizzy cards')
+  .action(async (migrationId) => {
+    const { relinkCommand } = await import('./commands/relink.js');
+    await relinkCommand(migrationId);
+  });
+
+// Migrate markers command
+program
+  .command('migrate-markers')
+  .description('Replace visible #basecamp-id markers with hidden markers')
+  .option('--account <slug>', 'Fizzy account slug (or use context)')
+  .option('--board <id>', 'Fizzy board ID (or use context)')
+  .option('--dry-run', 'Show what would change without making changes', false)
+  .option('--no-context', 'Ignore current context')
+  .action(async (options) => {
+    const { migrateMarkersCommand } = await import('./commands/migrate-markers.js');
+    await migrateMarkersCommand(options);
+  });
+
 // Config command
 program
   .command('config <action>')
@@ -1,9 +1,15 @@
 import axios from 'axios';
 import { RateLimiter, withRetry } from './rate-limiter.js';
 import { defaults } from '../config/defaults.js';
-import { ApiError, AuthenticationError } from '../utils/errors.js';
+import { ApiError, AuthenticationError, ValidationError } from '../utils/errors.js';
 import { parseLinkHeader } from '../utils/validators.js';
 
+/**
+ * Hosts that serve Basecamp blobs
+ * Only these get the Basecamp token; anything else in a card body is not ours to fetch.
+ */
+export const BASECAMP_BLOB_HOST = /^https:\/\/([a-z0-9-]+\.)*(basecamp\.com|basecampapi\.com|basecampusercontent\.com)\//i;
+
 /**
  * Basecamp API Client
  */
@@ -139,6 +145,17 @@ export class BasecampClient {
     return response.data;
   }
 
+  /**
+   * Get the card tables of a project
+   * Card tables are the 'kanban_board' entries of the project dock.
+   * @param {string} projectId - Basecamp project ID
+   * @returns {Promise<Array>} Dock entries with id, title and url
+   */
+  async getCardTables(projectId) {
+    const project = await this.getProject(projectId);
+    return project.dock?.filter(item => item.name === 'kanban_board') || [];
+  }
+
   /**
    * Get a card table
    */
@@ -179,6 +196,28 @@ export class BasecampClient {
     return response.data;
   }
 
+  /**
+   * Download an attachment blob (authenticated with the Basecamp token)
+   * @param {string} url - Absolute download URL from a bc-attachment or image
+   * @returns {Promise<Object>} Object with data (Buffer) and contentType
+   * @throws {ValidationError} When the URL is not on a Basecamp host
+   */
+  async downloadAttachment(url) {
+    if (!BASECAMP_BLOB_HOST.test(url || '')) {
+      throw new ValidationError(`Refusing to download ${url}: not a Basecamp URL`, 'url');
+    }
+
+    const response = await withRetry(() => this.client.get(url, {
+      responseType: 'arraybuffer',
+      headers: { 'Accept': '*/*' }
+    }));
+
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'application/octet-stream'
+    };
+  }
+
   /**
    * Get people in a project
    */
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { RateLimiter, withRetry } from './rate-limiter.js';
 import { defaults } from '../config/defaults.js';
 import { ApiError } from '../utils/errors.js';
@@ -124,6 +125,13 @@ export class FizzyClient {
     return response.data || {};
   }
 
+  /**
+   * Delete a board
+   */
+  async deleteBoard(accountSlug, boardId) {
+    await this.delete(`${accountSlug}/boards/${boardId}`);
+  }
+
   /**
    * Get columns for a board
    */
@@ -154,6 +162,28 @@ export class FizzyClient {
     return response.data || {};
   }
 
+  /**
+   * Update a column (name, color)
+   */
+  async updateColumn(accountSlug, boardId, columnId, data) {
+    const response = await this.put(`${accountSlug}/boards/${boardId}/columns/${columnId}`, { column: data });
+    return response.data;
+  }
+
+  /**
+   * Move a column one place to the left or right on its board
+   */
+  async moveColumn(accountSlug, columnId, direction) {
+    await this.post(`${accountSlug}/columns/${columnId}/${direction}_position`, {});
+  }
+
+  /**
+   * Delete a column
+   */
+  async deleteColumn(accountSlug, boardId, columnId) {
+    await this.delete(`${accountSlug}/boards/${boardId}/columns/${columnId}`);
+  }
+
   /**
    * Get cards with optional filters
    */
@@ -166,6 +196,12 @@ export class FizzyClient {
     if (filters.tag_ids) {
       filters.tag_ids.forEach(id => params.append('tag_ids[]', id));
     }
+    if (filters.indexed_by) {
+      params.append('indexed_by', filters.indexed_by);
+    }
+    if (filters.sorted_by) {
+      params.append('sorted_by', filters.sorted_by);
+    }
     if (filters.page) {
       params.append('page', filters.page);
     }
@@ -222,6 +258,20 @@ export class FizzyClient {
     return response.data;
   }
 
+  /**
+   * Delete a card
+   */
+  async deleteCard(accountSlug, cardNumber) {
+    await this.delete(`${accountSlug}/cards/${cardNumber}`);
+  }
+
+  /**
+   * Get the web URL of a card
+   */
+  getCardUrl(accountSlug, cardNumber) {
+    return `${this.baseUrl}${accountSlug}/cards/${cardNumber}`;
+  }
+
   /**
    * Update a card
    */
@@ -244,6 +294,13 @@ export class FizzyClient {
     await this.post(`${accountSlug}/cards/${cardNumber}/closure`, {});
   }
 
+  /**
+   * Reopen a closed card
+   */
+  async reopenCard(accountSlug, cardNumber) {
+    await this.delete(`${accountSlug}/cards/${cardNumber}/closure`);
+  }
+
   /**
    * Move a card to "Not Now"
    */
@@ -251,11 +308,37 @@ export class FizzyClient {
     await this.post(`${accountSlug}/cards/${cardNumber}/not_now`, {});
   }
 
+  /**
+   * Get the steps on a card
+   */
+  async getSteps(accountSlug, cardNumber) {
+    const response = await this.get(`${accountSlug}/cards/${cardNumber}/steps`);
+    return response.data;
+  }
+
   /**
    * Create a step on a card
    */
   async createStep(accountSlug, cardNumber, data) {
     const response = await this.post(`${accountSlug}/cards/${cardNumber}/steps`, { step: data });
+
+    // Extract step ID from Location header
+    const location = response.headers.location;
+    if (location) {
+      const match = location.match(/\/steps\/([^/?#]+)/);
+      if (match) {
+        return await this.getStep(accountSlug, cardNumber, match[1]);
+      }
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get a single step
+   */
+  async getStep(accountSlug, cardNumber, stepId) {
+    const response = await this.get(`${accountSlug}/cards/${cardNumber}/steps/${stepId}`);
     return response.data;
   }
 
@@ -267,6 +350,13 @@ export class FizzyClient {
     return response.data;
   }
 
+  /**
+   * Delete a step
+   */
+  async deleteStep(accountSlug, cardNumber, stepId) {
+    await this.delete(`${accountSlug}/cards/${cardNumber}/steps/${stepId}`);
+  }
+
   /**
    * Create a comment on a card
    */
@@ -275,6 +365,73 @@ export class FizzyClient {
     return response.data;
   }
 
+  /**
+   * Get all comments on a card (follows pagination)
+   */
+  async getComments(accountSlug, cardNumber) {
+    const comments = [];
+    let path = `${accountSlug}/cards/${cardNumber}/comments`;
+
+    while (path) {
+      const response = await this.get(path);
+      comments.push(...(response.data || []));
+
+      const links = parseLinkHeader(response.headers?.link);
+      path = links.next ? links.next.replace(this.baseUrl, '') : null;
+    }
+
+    return comments;
+  }
+
+  /**
+   * Update a comment
+   */
+  async updateComment(accountSlug, cardNumber, commentId, data) {
+    const response = await this.put(`${accountSlug}/cards/${cardNumber}/comments/${commentId}`, { comment: data });
+    return response.data;
+  }
+
+  /**
+   * Upload a file through Active Storage direct uploads
+   * The returned attachable_sgid can be embedded in rich text as an
+   * <action-text-attachment>, the url can be used as a plain link or image source.
+   * @param {string} accountSlug - Fizzy account slug
+   * @param {Object} file - File to upload
+   * @param {Buffer} file.data - File contents
+   * @param {string} file.filename - File name
+   * @param {string} file.contentType - MIME type
+   * @returns {Promise<Object>} Object with signed_id, attachable_sgid and url
+   */
+  async uploadAttachment(accountSlug, file) {
+    const checksum = crypto.createHash('md5').update(file.data).digest('base64');
+
+    const response = await this.post(`${accountSlug}/rails/active_storage/direct_uploads`, {
+      blob: {
+        filename: file.filename,
+        byte_size: file.data.length,
+        checksum: checksum,
+        content_type: file.contentType
+      }
+    });
+
+    const blob = response.data;
+    const directUpload = blob.direct_upload;
+
+    // The upload URL is pre-signed, so it is sent without our API headers
+    await this.rateLimiter.throttle();
+    await withRetry(() => axios.put(directUpload.url, file.data, {
+      headers: directUpload.headers || {},
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    }));
+
+    return {
+      signed_id: blob.signed_id,
+      attachable_sgid: blob.attachable_sgid || null,
+      url: `${this.baseUrl}${accountSlug}/rails/active_storage/blobs/redirect/${blob.signed_id}/${encodeURIComponent(file.filename)}`
+    };
+  }
+
   /**
    * Get all tags in an account
    */
@@ -298,10 +455,32 @@ export class FizzyClient {
     return response.data;
   }
 
+  /**
+   * Get the users assigned to a card
+   * @param {string} accountSlug - Fizzy account slug
+   * @param {number} cardNumber - Card number
+   * @returns {Promise<Array|null>} Assignees, or null when the card doesn't list them
+   */
+  async getCardAssignees(accountSlug, cardNumber) {
+    const card = await this.getCard(accountSlug, cardNumber);
+    return Array.isArray(card?.assignees) ? card.assignees : null;
+  }
+
   /**
    * Assign a user to a card
+   * The assignments endpoint toggles, so this must only be called for
+   * users that are not assigned yet.
    */
   async assignUser(accountSlug, cardNumber, assigneeId) {
     await this.post(`${accountSlug}/cards/${cardNumber}/assignments`, { assignee_id: assigneeId });
   }
+
+  /**
+   * Remove a user from a card
+   * The assignments endpoint toggles, so this must only be called for
+   * users that are currently assigned.
+   */
+  async unassignUser(accountSlug, cardNumber, assigneeId) {
+    await this.post(`${accountSlug}/cards/${cardNumber}/assignments`, { assignee_id: assigneeId });
+  }
 }
@@ -132,14 +132,10 @@ async function listCardTables(config, projectId) {
   spinner.start();
 
   const client = new BasecampClient(config.basecamp);
-  const project = await client.getProject(projectId);
+  const cardTables = await client.getCardTables(projectId);
 
   spinner.stop();
 
-  // Find card tables in the project dock
-  // Card tables are named 'kanban_board' in the Basecamp API
-  const cardTables = project.dock?.filter(item => item.name === 'kanban_board') || [];
-
   if (cardTables.length === 0) {
     logger.warn('No card tables found in this project');
     return;
@@ -0,0 +1,121 @@
+import {
+  loadConfig,
+  isBasecampAuthenticated,
+  isFizzyAuthenticated,
+  getColumnPreset,
+  getColorPalette
+} from '../config/config-manager.js';
+import { loadMigrationPlan } from '../config/migration-plan.js';
+import { BasecampClient } from '../clients/basecamp-client.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import {
+  loadBatchManifest,
+  resolveBatchJobs,
+  runBatchMigration,
+  confirmBatch,
+  getBatchStatus
+} from '../services/batch-migration.js';
+import { readTagRules, mergeTagRules } from '../mappers/tag-mapper.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Handle migrate-batch command
+ * Migrates every card table listed in a manifest, one after the other.
+ * With --plan, the plan's column, user and tag overrides apply to every card
+ * table (its source, target and options are left to the manifest).
+ * @param {string} manifestFile - Path to the manifest JSON
+ * @param {Object} options - Command options
+ */
+export async function migrateBatchCommand(manifestFile, options) {
+  try {
+    logger.header('📦 Batch Migration');
+    
+    const config = await loadConfig();
+    
+    // Check authentication
+    if (!isBasecampAuthenticated(config)) {
+      logger.error('Not authenticated with Basecamp');
+      logger.info('Run: bf auth basecamp');
+      process.exit(1);
+    }
+    
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(1);
+    }
+    
+    const entries = await loadBatchManifest(manifestFile);
+    const plan = options.plan ? await loadPlan(options.plan) : null;
+    
+    const basecampClient = new BasecampClient(config.basecamp);
+    const fizzyClient = new FizzyClient(config.fizzy);
+    
+    logger.info('Discovering card tables...');
+    const jobs = await resolveBatchJobs(basecampClient, entries, {
+      batchSize: parseInt(options.batchSize, 10) || 10,
+      columnSynonyms: config.column_synonyms || [],
+      tagRules: mergeTagRules(readTagRules(config.tag_rules), plan?.tags),
+      columnOverrides: plan?.columns || {}
+    });
+    logger.success(`✓ ${jobs.length} card tables to migrate\n`);
+    
+    // Each card table gets its own saved column choices and the color
+    // palette of its Fizzy account
+    for (const job of jobs) {
+      job.options.columnPreset = getColumnPreset(config, job.source.cardTableId) || {};
+      job.options.colorPalette = getColorPalette(config, job.target.accountSlug);
+    }
+    
+    if (jobs.length === 0) {
+      return;
+    }
+    
+    // Confirm before proceeding (unless dry run or --yes flag)
+    if (!options.dryRun && !options.yes) {
+      const confirmed = await confirmBatch(jobs);
+      if (!confirmed) {
+        logger.info('Batch migration cancelled');
+        process.exit(0);
+      }
+    }
+    
+    const results = await runBatchMigration({ basecampClient, fizzyClient }, jobs, {
+      dryRun: options.dryRun,
+      skipUserMapping: options.skipUserMapping,
+      existingMappings: config.mappings?.users || {},
+      userOverrides: plan?.users || {}
+    });
+    
+    // Exit with appropriate code
+    if (results.some(result => getBatchStatus(result.migration, result.error) === 'failed')) {
+      process.exit(1);
+    }
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Manifest ${manifestFile} not found`);
+    } else if (error.name === 'ValidationError') {
+      logger.error(`Invalid manifest: ${error.message}`);
+    } else {
+      logger.error('Batch migration failed', error);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the --plan file, exiting with its own error message when it can't be used
+ * @param {string} file - Path to the plan
+ * @returns {Promise<Object>} Plan from loadMigrationPlan
+ */
+async function loadPlan(file) {
+  try {
+    const plan = await loadMigrationPlan(file);
+    logger.info(`📄 Using plan: ${file}\n`);
+    return plan;
+  } catch (error) {
+    logger.error(error.code === 'ENOENT' ? `Plan file ${file} not found` : `Invalid plan: ${error.message}`);
+    process.exit(1);
+  }
+}
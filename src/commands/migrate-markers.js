@@ -0,0 +1,97 @@
+import { loadConfig, getContext, isFizzyAuthenticated } from '../config/config-manager.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import { eachBoardCard, identifyCard, IDENTITY_METHODS } from '../services/card-index.js';
+import { upgradeCardMarker } from '../mappers/card-mapper.js';
+import { loadCardLedger, findLedgerEntry, recordLedgerEntry } from '../state/card-ledger.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Handle migrate-markers command
+ * Replaces the visible #basecamp-id-{id} text written by earlier versions with
+ * the hidden marker, and records every migrated card in the card ledger.
+ * @param {Object} options - Command options
+ */
+export async function migrateMarkersCommand(options) {
+  try {
+    logger.header('🏷️  Migrate Card Markers');
+
+    const config = await loadConfig();
+
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(1);
+    }
+
+    const context = options.context === false ? {} : getContext(config);
+    const accountSlug = options.account || context.account_slug;
+    const boardId = options.board || context.board_id;
+
+    if (!accountSlug) {
+      logger.error('--account <slug> is required (or set with: bf use account <slug>)');
+      process.exit(1);
+    }
+    if (!boardId) {
+      logger.error('--board <id> is required (or set with: bf use board <id>)');
+      process.exit(1);
+    }
+
+    if (options.dryRun) {
+      logger.warn('🔍 DRY RUN MODE - No changes will be made\n');
+    }
+
+    const fizzyClient = new FizzyClient(config.fizzy);
+    const cardLedger = await loadCardLedger();
+    const counts = { scanned: 0, upgraded: 0, current: 0, recorded: 0, failed: 0 };
+
+    for await (const card of eachBoardCard(fizzyClient, accountSlug, boardId)) {
+      counts.scanned++;
+
+      const identity = identifyCard(card, cardLedger, accountSlug);
+      if (!identity) continue;
+
+      try {
+        if (identity.method === IDENTITY_METHODS.HIDDEN) {
+          counts.current++;
+        } else {
+          const description = upgradeCardMarker(card.description_html || card.description, identity.basecamp_id);
+
+          if (options.dryRun) {
+            logger.info(`  Would update card ${card.number} (${identity.method} → hidden marker)`);
+          } else {
+            await fizzyClient.updateCard(accountSlug, card.number, { description });
+            logger.success(`  ✓ Card ${card.number} (${identity.method} → hidden marker)`);
+          }
+          counts.upgraded++;
+        }
+
+        if (!findLedgerEntry(cardLedger, accountSlug, card.id)) {
+          if (!options.dryRun) {
+            await recordLedgerEntry(accountSlug, card, identity.basecamp_id, boardId);
+          }
+          counts.recorded++;
+        }
+      } catch (error) {
+        counts.failed++;
+        logger.error(`  ✗ Card ${card.number}: ${error.message}`);
+      }
+    }
+
+    const verb = options.dryRun ? 'would be' : 'were';
+    logger.info(`\nScanned ${counts.scanned} cards`);
+    logger.info(`  ${counts.upgraded} cards ${verb} switched to the hidden marker`);
+    logger.info(`  ${counts.current} cards already use the hidden marker`);
+    logger.info(`  ${counts.recorded} cards ${verb} added to the card ledger`);
+
+    if (counts.failed > 0) {
+      logger.error(`  ${counts.failed} cards failed\n`);
+      process.exit(1);
+    }
+
+    logger.success('\n✓ Markers migrated\n');
+
+  } catch (error) {
+    logger.error('Marker migration failed', error);
+    process.exit(1);
+  }
+}
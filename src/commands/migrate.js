@@ -1,16 +1,39 @@
-import { loadConfig, getContext, isBasecampAuthenticated, isFizzyAuthenticated } from '../config/config-manager.js';
+import {
+  loadConfig,
+  getContext,
+  isBasecampAuthenticated,
+  isFizzyAuthenticated,
+  getColumnPreset,
+  getColorPalette,
+  saveColumnPreset
+} from '../config/config-manager.js';
+import { loadMigrationPlan } from '../config/migration-plan.js';
 import { showContextBanner } from '../utils/context-helper.js';
 import { BasecampClient } from '../clients/basecamp-client.js';
 import { FizzyClient } from '../clients/fizzy-client.js';
 import { runMigration } from '../services/migration.js';
+import { formatPlanTable, countPlanActions, writePlanReport } from '../services/dry-run-report.js';
+import { resolveBatchJobs, runBatchMigration, confirmBatch, getBatchStatus } from '../services/batch-migration.js';
+import {
+  DUE_DATE_MODES,
+  STEP_ASSIGNEE_STRATEGIES,
+  PROVENANCE_MODES,
+  PROVENANCE_POSITIONS,
+  CARD_OPTION_DEFAULTS
+} from '../mappers/card-mapper.js';
+import { ON_HOLD_ACTIONS } from '../mappers/status-mapper.js';
+import { readTagRules, mergeTagRules } from '../mappers/tag-mapper.js';
 import * as logger from '../utils/logger.js';
 import inquirer from 'inquirer';
 
 /**
  * Handle migrate command
+ * Settings come from flags, then the --plan file, then the `use` context.
  * @param {Object} options - Command options
+ * @param {Object} [command] - Commander command, used to tell flags given on
+ *   the command line apart from their defaults
  */
-export async function migrateCommand(options) {
+export async function migrateCommand(options, command) {
   try {
     const config = await loadConfig();
     
@@ -34,19 +57,43 @@ export async function migrateCommand(options) {
       showContextBanner(context);
     }
     
-    // Apply context defaults
+    // Flags given on the command line win over the plan
+    const plan = options.plan ? await loadMigrationPlan(options.plan) : null;
+    if (plan) {
+      logger.info(`📄 Using plan: ${options.plan}\n`);
+    }
+    const pick = (flag, planOption = flag) => pickOption(options, command, plan, flag, planOption);
+    
+    // Apply plan and context defaults
+    const project = options.project || plan?.source.project || context.project_id;
     const migrationOptions = {
-      project: options.project || context.project_id,
-      projectName: context.project_name,
-      cardtable: options.cardtable || context.cardtable_id,
-      account: options.account || context.account_slug,
-      board: options.board || context.board_id,
-      createBoard: options.createBoard,
-      migrateComments: options.migrateComments,
-      updateExisting: options.updateExisting,
+      project: project,
+      projectName: project === context.project_id ? context.project_name : null,
+      cardtable: options.cardtable || plan?.source.cardtable || (options.allCardtables ? null : context.cardtable_id),
+      allCardtables: options.allCardtables,
+      account: options.account || plan?.target.account || context.account_slug,
+      board: options.board || plan?.target.board || context.board_id,
+      createBoard: options.createBoard || (options.board ? undefined : plan?.target.create_board),
+      migrateComments: pick('migrateComments'),
+      migrateAttachments: pick('attachments', 'migrateAttachments') !== false,
+      updateExisting: pick('updateExisting'),
       dryRun: options.dryRun,
-      batchSize: options.batchSize || 10,
-      skipUserMapping: options.skipUserMapping,
+      batchSize: parseInt(pick('batchSize'), 10) || 10,
+      skipUserMapping: pick('skipUserMapping'),
+      dueDates: pick('dueDates') || CARD_OPTION_DEFAULTS.dueDates,
+      stepAssignees: pick('stepAssignees') || CARD_OPTION_DEFAULTS.stepAssignees,
+      provenance: pick('provenance') || CARD_OPTION_DEFAULTS.provenance,
+      provenancePosition: pick('provenancePosition') || CARD_OPTION_DEFAULTS.provenancePosition,
+      identityTag: pick('identityTag'),
+      interactiveColumns: options.mapColumns,
+      columnOrder: pick('columnOrder') || false,
+      recolorColumns: pick('recolorColumns'),
+      onHold: pick('onHold') || ON_HOLD_ACTIONS.TAG,
+      // Plan tag rules win over config.json field by field
+      tagRules: mergeTagRules(readTagRules(config.tag_rules), plan?.tags),
+      columnOverrides: plan?.columns || {},
+      userOverrides: plan?.users || {},
+      report: options.report,
       yes: options.yes
     };
     
@@ -55,7 +102,11 @@ export async function migrateCommand(options) {
       logger.error('--project <id> is required (or set with: bf use project <id>)');
       process.exit(1);
     }
-    if (!migrationOptions.cardtable) {
+    if (migrationOptions.allCardtables && options.cardtable) {
+      logger.error('Use either --cardtable <id> or --all-cardtables');
+      process.exit(1);
+    }
+    if (!migrationOptions.cardtable && !migrationOptions.allCardtables) {
       logger.error('--cardtable <id> is required (or set with: bf use cardtable <id>)');
       process.exit(1);
     }
@@ -67,6 +118,39 @@ export async function migrateCommand(options) {
       logger.error('Either --board <id> or --create-board <name> is required');
       process.exit(1);
     }
+    if (!Object.values(DUE_DATE_MODES).includes(migrationOptions.dueDates)) {
+      logger.error(`--due-dates must be one of: ${Object.values(DUE_DATE_MODES).join(', ')}`);
+      process.exit(1);
+    }
+    if (!Object.values(STEP_ASSIGNEE_STRATEGIES).includes(migrationOptions.stepAssignees)) {
+      logger.error(`--step-assignees must be one of: ${Object.values(STEP_ASSIGNEE_STRATEGIES).join(', ')}`);
+      process.exit(1);
+    }
+    if (!Object.values(PROVENANCE_MODES).includes(migrationOptions.provenance)) {
+      logger.error(`--provenance must be one of: ${Object.values(PROVENANCE_MODES).join(', ')}`);
+      process.exit(1);
+    }
+    if (!Object.values(PROVENANCE_POSITIONS).includes(migrationOptions.provenancePosition)) {
+      logger.error(`--provenance-position must be one of: ${Object.values(PROVENANCE_POSITIONS).join(', ')}`);
+      process.exit(1);
+    }
+    if (!Object.values(ON_HOLD_ACTIONS).includes(migrationOptions.onHold)) {
+      logger.error(`--on-hold must be one of: ${Object.values(ON_HOLD_ACTIONS).join(', ')}`);
+      process.exit(1);
+    }
+    if (migrationOptions.report && !migrationOptions.dryRun) {
+      logger.error('--report can only be used with --dry-run');
+      process.exit(1);
+    }
+    if (migrationOptions.report && migrationOptions.allCardtables) {
+      logger.error('--report can\'t be used with --all-cardtables');
+      process.exit(1);
+    }
+    
+    if (migrationOptions.allCardtables) {
+      await migrateAllCardTables(config, migrationOptions);
+      return;
+    }
     
     // Create board if requested
     if (migrationOptions.createBoard) {
@@ -117,24 +201,174 @@ export async function migrateCommand(options) {
       },
       {
         migrateComments: migrationOptions.migrateComments,
+        migrateAttachments: migrationOptions.migrateAttachments,
         updateExisting: migrationOptions.updateExisting,
         dryRun: migrationOptions.dryRun,
         batchSize: migrationOptions.batchSize,
-        skipUserMapping: migrationOptions.skipUserMapping
+        skipUserMapping: migrationOptions.skipUserMapping,
+        dueDates: migrationOptions.dueDates,
+        stepAssignees: migrationOptions.stepAssignees,
+        provenance: migrationOptions.provenance,
+        provenancePosition: migrationOptions.provenancePosition,
+        identityTag: migrationOptions.identityTag,
+        createdBoard: !!migrationOptions.createBoard,
+        interactiveColumns: migrationOptions.interactiveColumns,
+        columnOverrides: migrationOptions.columnOverrides,
+        columnPreset: getColumnPreset(config, migrationOptions.cardtable) || {},
+        userOverrides: migrationOptions.userOverrides,
+        columnSynonyms: config.column_synonyms || [],
+        columnOrder: migrationOptions.columnOrder,
+        recolorColumns: migrationOptions.recolorColumns,
+        onHold: migrationOptions.onHold,
+        colorPalette: getColorPalette(config, migrationOptions.account),
+        tagRules: migrationOptions.tagRules
       }
     );
     
+    // Reuse the column choices on later runs of this card table
+    if (migrationOptions.interactiveColumns) {
+      await saveColumnPreset(migrationOptions.cardtable, migration.column_choices);
+      logger.success(`✓ Column choices saved as the preset for card table ${migrationOptions.cardtable}\n`);
+    }
+    
+    if (migrationOptions.dryRun) {
+      await showDryRunPlan(migration.dry_run_plan || [], migrationOptions.report);
+    }
+    
     // Exit with appropriate code
     if (migration.status === 'failed') {
       process.exit(1);
     }
     
   } catch (error) {
-    logger.error('Migration failed', error);
+    if (error.name === 'ValidationError') {
+      logger.error(error.message);
+    } else if (error.code === 'ENOENT' && options.plan) {
+      logger.error(`Plan file ${options.plan} not found`);
+    } else {
+      logger.error('Migration failed', error);
+    }
     process.exit(1);
   }
 }
 
+/**
+ * Pick an option: a flag given on the command line, then the plan, then the flag's default
+ * @param {Object} options - Command options
+ * @param {Object} [command] - Commander command
+ * @param {Object|null} plan - Loaded plan
+ * @param {string} flag - Option name on the command
+ * @param {string} planOption - Option name in the plan
+ * @returns {*} Option value
+ */
+function pickOption(options, command, plan, flag, planOption) {
+  const fromCommandLine = command?.getOptionValueSource(flag) === 'cli';
+  if (fromCommandLine || plan?.options[planOption] === undefined) {
+    return options[flag];
+  }
+  return plan.options[planOption];
+}
+
+/**
+ * Migrate every card table of the project, one after the other
+ * With --create-board the name is a template, e.g. "{cardtable}", so each
+ * card table gets its own board.
+ * @param {Object} config - Loaded config
+ * @param {Object} migrationOptions - Resolved migrate options
+ */
+async function migrateAllCardTables(config, migrationOptions) {
+  const basecampClient = new BasecampClient(config.basecamp);
+  const fizzyClient = new FizzyClient(config.fizzy);
+  
+  logger.info('Discovering card tables...');
+  const jobs = await resolveBatchJobs(basecampClient, [{
+    project: migrationOptions.project,
+    account: migrationOptions.account,
+    board: migrationOptions.board,
+    create_board: migrationOptions.createBoard
+  }], {
+    migrateComments: migrationOptions.migrateComments,
+    migrateAttachments: migrationOptions.migrateAttachments,
+    updateExisting: migrationOptions.updateExisting,
+    batchSize: migrationOptions.batchSize,
+    dueDates: migrationOptions.dueDates,
+    stepAssignees: migrationOptions.stepAssignees,
+    provenance: migrationOptions.provenance,
+    provenancePosition: migrationOptions.provenancePosition,
+    identityTag: migrationOptions.identityTag,
+    columnSynonyms: config.column_synonyms || [],
+    columnOrder: migrationOptions.columnOrder,
+    recolorColumns: migrationOptions.recolorColumns,
+    onHold: migrationOptions.onHold,
+    colorPalette: getColorPalette(config, migrationOptions.account),
+    tagRules: migrationOptions.tagRules,
+    interactiveColumns: migrationOptions.interactiveColumns,
+    columnOverrides: migrationOptions.columnOverrides
+  });
+  logger.success(`✓ ${jobs.length} card tables to migrate\n`);
+  
+  // Each card table starts from its own saved column choices
+  for (const job of jobs) {
+    job.options.columnPreset = getColumnPreset(config, job.source.cardTableId) || {};
+  }
+  
+  if (jobs.length === 0) {
+    return;
+  }
+  
+  // Confirm before proceeding (unless dry run or --yes flag)
+  if (!migrationOptions.dryRun && !migrationOptions.yes) {
+    const confirmed = await confirmBatch(jobs);
+    if (!confirmed) {
+      logger.info('Migration cancelled');
+      process.exit(0);
+    }
+  }
+  
+  const results = await runBatchMigration({ basecampClient, fizzyClient }, jobs, {
+    dryRun: migrationOptions.dryRun,
+    skipUserMapping: migrationOptions.skipUserMapping,
+    existingMappings: config.mappings?.users || {},
+    userOverrides: migrationOptions.userOverrides
+  });
+  
+  // Reuse the column choices on later runs of each card table
+  if (migrationOptions.interactiveColumns) {
+    for (const { job, migration } of results) {
+      if (migration) {
+        await saveColumnPreset(job.source.cardTableId, migration.column_choices);
+      }
+    }
+    logger.success('✓ Column choices saved as presets for each card table\n');
+  }
+  
+  // Exit with appropriate code
+  if (results.some(result => getBatchStatus(result.migration, result.error) === 'failed')) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the dry run plan and optionally save it
+ * @param {Array} plan - Plan entries from the migration state
+ * @param {string} [reportFile] - File to write (.json or .csv)
+ */
+async function showDryRunPlan(plan, reportFile) {
+  logger.header('📝 Dry Run Plan');
+  
+  if (plan.length > 0) {
+    console.log(formatPlanTable(plan));
+  }
+  
+  const counts = countPlanActions(plan);
+  logger.info(`\nWould create ${counts.create}, update ${counts.update} and skip ${counts.skip} cards`);
+  
+  if (reportFile) {
+    const format = await writePlanReport(plan, reportFile);
+    logger.success(`✓ Plan saved to ${reportFile} (${format.toUpperCase()})\n`);
+  }
+}
+
 /**
  * Confirm migration with user
  */
@@ -146,6 +380,9 @@ async function confirmMigration(options) {
   if (options.migrateComments) {
     logger.info('   Comments: Will be migrated');
   }
+  if (!options.migrateAttachments) {
+    logger.info('   Attachments: Will not be copied');
+  }
   if (options.updateExisting) {
     logger.warn('   Update existing: Cards will be updated if they exist');
   }
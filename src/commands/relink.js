@@ -0,0 +1,63 @@
+import { loadConfig, isFizzyAuthenticated } from '../config/config-manager.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import { loadMigrationState, loadAllMigrationStates, saveMigrationState } from '../state/migration-state.js';
+import { rewriteMigrationLinks } from '../services/link-rewriter.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Handle relink command
+ * Rewrites links to Basecamp cards that couldn't be resolved when the
+ * migration ran, e.g. because the linked card table was migrated later.
+ * @param {string} [migrationId] - Migration ID (all migrations with pending links if omitted)
+ */
+export async function relinkCommand(migrationId) {
+  try {
+    logger.header('🔗 Rewrite Cross-Card Links');
+
+    const config = await loadConfig();
+
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(1);
+    }
+
+    const migrations = migrationId
+      ? [await loadMigrationState(migrationId)]
+      : (await loadAllMigrationStates()).filter(m =>
+        !m.options?.dry_run && Object.keys(m.pending_links || {}).length > 0
+      );
+
+    if (migrations.length === 0) {
+      logger.info('No migrations with pending links.');
+      return;
+    }
+
+    const fizzyClient = new FizzyClient(config.fizzy);
+    let unresolved = 0;
+
+    for (const migration of migrations) {
+      logger.info(`\n${migration.migration_id} (${migration.source.cardtable_name || migration.source.cardtable_id} → ${migration.target.board_name})`);
+
+      const result = await rewriteMigrationLinks(fizzyClient, migration);
+      await saveMigrationState(migration);
+      unresolved += result.unresolved;
+    }
+
+    if (unresolved > 0) {
+      logger.warn(`\n${unresolved} links point to Basecamp cards that haven't been migrated yet`);
+      logger.info('Migrate those card tables and run bf relink again\n');
+    } else {
+      logger.success('\n✓ All cross-card links resolved\n');
+    }
+
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Migration ${migrationId} not found`);
+      logger.info('Run: bf list migrations to see available migrations');
+    } else {
+      logger.error('Relink failed', error);
+    }
+    process.exit(1);
+  }
+}
@@ -2,6 +2,7 @@ import { loadConfig, isBasecampAuthenticated, isFizzyAuthenticated } from '../co
 import { BasecampClient } from '../clients/basecamp-client.js';
 import { FizzyClient } from '../clients/fizzy-client.js';
 import { loadMigrationState, getMigrationSummary } from '../state/migration-state.js';
+import { resumeMigration, retryFailedCards } from '../services/migration.js';
 import * as logger from '../utils/logger.js';
 import inquirer from 'inquirer';
 
@@ -42,13 +43,41 @@ export async function resumeCommand(migrationId) {
       process.exit(0);
     }
     
+    // Initialize API clients
+    const basecampClient = new BasecampClient(config.basecamp);
+    const fizzyClient = new FizzyClient(config.fizzy);
+    
+    // Continue an interrupted run from the phase and card where it stopped
+    if (migration.status === 'in_progress') {
+      const { resume } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'resume',
+          message: `Continue interrupted migration from phase "${migration.progress.current_phase}"?`,
+          default: true
+        }
+      ]);
+      
+      if (!resume) {
+        logger.info('Resume cancelled');
+        process.exit(0);
+      }
+      
+      await resumeMigration({ basecampClient, fizzyClient }, migration);
+    }
+    
+    if (migration.options?.dry_run) {
+      logger.info('This was a dry run, no failed items to retry.');
+      process.exit(0);
+    }
+    
     // Check if there are failed items
     if (migration.failed_items.length === 0) {
       logger.info('No failed items to retry.');
       process.exit(0);
     }
     
-    // Confirm resume
+    // Confirm retry
     const answer = await inquirer.prompt([
       {
         type: 'confirm',
@@ -59,13 +88,16 @@ export async function resumeCommand(migrationId) {
     ]);
     
     if (!answer.confirm) {
-      logger.info('Resume cancelled');
+      logger.info('Retry cancelled');
       process.exit(0);
     }
     
-    logger.warn('\n⚠️  Resume functionality is not yet fully implemented');
-    logger.info('To retry this migration, run the migrate command again with --update-existing flag:\n');
-    logger.info(`bf migrate --project=${migration.source.project_id} --cardtable=${migration.source.cardtable_id} --account=${migration.target.account_slug} --board=${migration.target.board_id} --update-existing\n`);
+    const result = await retryFailedCards({ basecampClient, fizzyClient }, migration);
+    
+    // Exit with appropriate code
+    if (result.failed_items.length > 0) {
+      process.exit(1);
+    }
     
   } catch (error) {
     if (error.code === 'ENOENT') {
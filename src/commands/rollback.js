@@ -0,0 +1,117 @@
+import { loadConfig, isFizzyAuthenticated } from '../config/config-manager.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import { loadMigrationState, saveMigrationState } from '../state/migration-state.js';
+import { planRollback, runRollback } from '../services/rollback.js';
+import * as logger from '../utils/logger.js';
+import inquirer from 'inquirer';
+
+/**
+ * Handle rollback command
+ * Deletes (or closes) the cards a migration created, deletes the columns it
+ * created and optionally the board made with --create-board.
+ * @param {string} migrationId - Migration ID to roll back
+ * @param {Object} options - Command options
+ */
+export async function rollbackCommand(migrationId, options) {
+  try {
+    logger.header('↩️  Roll Back Migration');
+    
+    const config = await loadConfig();
+    
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(1);
+    }
+    
+    const migration = await loadMigrationState(migrationId);
+    
+    if (!migration.created_resources) {
+      logger.error('This migration was run before created resources were recorded, so it can\'t be rolled back');
+      process.exit(1);
+    }
+    
+    if (migration.options?.dry_run && !migration.created_resources.board_id) {
+      logger.info('This was a dry run, nothing to roll back.');
+      process.exit(0);
+    }
+    
+    if (options.deleteBoard && !migration.created_resources.board_id) {
+      logger.warn('⚠ The board was not created by this migration and will be kept\n');
+    }
+    
+    const plan = planRollback(migration, {
+      closeCards: options.close,
+      deleteBoard: options.deleteBoard
+    });
+    
+    showPlan(migration, plan);
+    
+    if (!plan.board_id && plan.cards.length === 0 && plan.columns.length === 0) {
+      logger.info('Nothing to roll back.');
+      process.exit(0);
+    }
+    
+    if (options.dryRun) {
+      logger.info('Dry run - nothing was changed.');
+      process.exit(0);
+    }
+    
+    // Typed confirmation, this can't be undone
+    const { typed } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'typed',
+        message: `Type the migration ID (${migration.migration_id}) to confirm:`
+      }
+    ]);
+    
+    if (typed.trim() !== migration.migration_id) {
+      logger.info('Rollback cancelled');
+      process.exit(0);
+    }
+    
+    const fizzyClient = new FizzyClient(config.fizzy);
+    const results = await runRollback(fizzyClient, migration, plan);
+    await saveMigrationState(migration);
+    
+    if (results.failed > 0) {
+      logger.warn(`\n⚠ ${results.failed} items could not be removed`);
+      logger.info(`Run 'bf rollback ${migration.migration_id}' again to retry\n`);
+      process.exit(1);
+    }
+    
+    logger.success('\n✓ Migration rolled back\n');
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Migration ${migrationId} not found`);
+      logger.info('Run: bf list migrations to see available migrations');
+    } else {
+      logger.error('Rollback failed', error);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Print what the rollback will do
+ */
+function showPlan(migration, plan) {
+  logger.info(`Migration: ${migration.migration_id}`);
+  logger.info(`Board:     ${migration.target.board_name || migration.target.board_id} (${migration.target.account_slug})\n`);
+  
+  if (plan.board_id) {
+    logger.warn(`  Delete board ${migration.target.board_name || plan.board_id} with all its cards and columns`);
+  }
+  if (plan.cards.length > 0) {
+    const numbers = plan.cards.slice(0, 10).map(card => `#${card.number}`).join(', ');
+    const more = plan.cards.length > 10 ? `, … (${plan.cards.length - 10} more)` : '';
+    logger.warn(`  ${plan.card_action === 'close' ? 'Close' : 'Delete'} ${plan.cards.length} cards: ${numbers}${more}`);
+  }
+  if (plan.columns.length > 0) {
+    logger.warn(`  Delete ${plan.columns.length} columns`);
+  }
+  
+  console.log('');
+}
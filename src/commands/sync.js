@@ -0,0 +1,61 @@
+import { loadConfig, isBasecampAuthenticated, isFizzyAuthenticated } from '../config/config-manager.js';
+import { BasecampClient } from '../clients/basecamp-client.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import { loadMigrationState } from '../state/migration-state.js';
+import { syncMigration } from '../services/migration.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Handle sync command
+ * Brings a migrated board up to date with cards changed in Basecamp since
+ * the last migrate or sync run.
+ * @param {string} migrationId - Migration ID to sync
+ */
+export async function syncCommand(migrationId) {
+  try {
+    logger.header('🔁 Sync Migration');
+    
+    const config = await loadConfig();
+    
+    // Check authentication
+    if (!isBasecampAuthenticated(config)) {
+      logger.error('Not authenticated with Basecamp');
+      logger.info('Run: bf auth basecamp');
+      process.exit(1);
+    }
+    
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(1);
+    }
+    
+    logger.info('Loading migration state...');
+    const migration = await loadMigrationState(migrationId);
+    logger.success(`✓ Loaded migration: ${migration.migration_id}\n`);
+    
+    if (migration.options?.dry_run) {
+      logger.error('Dry runs cannot be synced. Run bf migrate without --dry-run first.');
+      process.exit(1);
+    }
+    
+    const basecampClient = new BasecampClient(config.basecamp);
+    const fizzyClient = new FizzyClient(config.fizzy);
+    
+    const result = await syncMigration({ basecampClient, fizzyClient }, migration);
+    
+    // Exit with appropriate code
+    if (result.status !== 'completed') {
+      process.exit(1);
+    }
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Migration ${migrationId} not found`);
+      logger.info('Run: bf list migrations to see available migrations');
+    } else {
+      logger.error('Sync failed', error);
+    }
+    process.exit(1);
+  }
+}
@@ -0,0 +1,68 @@
+import { loadConfig, isBasecampAuthenticated, isFizzyAuthenticated } from '../config/config-manager.js';
+import { BasecampClient } from '../clients/basecamp-client.js';
+import { FizzyClient } from '../clients/fizzy-client.js';
+import { loadMigrationState } from '../state/migration-state.js';
+import { verifyMigration, formatVerificationTable } from '../services/verifier.js';
+import * as logger from '../utils/logger.js';
+
+/**
+ * Handle verify command
+ * Compares every Basecamp card of a migration with its Fizzy copy.
+ * Exits with 0 when every card passes, 1 when any card fails and 2 when the
+ * check itself couldn't run.
+ * @param {string} migrationId - Migration ID to verify
+ * @param {Object} options - Command options
+ */
+export async function verifyCommand(migrationId, options) {
+  try {
+    logger.header('🔎 Verify Migration');
+    
+    const config = await loadConfig();
+    
+    // Check authentication
+    if (!isBasecampAuthenticated(config)) {
+      logger.error('Not authenticated with Basecamp');
+      logger.info('Run: bf auth basecamp');
+      process.exit(2);
+    }
+    
+    if (!isFizzyAuthenticated(config)) {
+      logger.error('Not authenticated with Fizzy');
+      logger.info('Run: bf auth fizzy');
+      process.exit(2);
+    }
+    
+    const migration = await loadMigrationState(migrationId);
+    
+    if (migration.options?.dry_run) {
+      logger.error('Dry runs cannot be verified, nothing was migrated.');
+      process.exit(2);
+    }
+    
+    const basecampClient = new BasecampClient(config.basecamp);
+    const fizzyClient = new FizzyClient(config.fizzy);
+    
+    const { results, passed, failed } = await verifyMigration({ basecampClient, fizzyClient }, migration);
+    
+    const shown = options.failuresOnly ? results.filter(result => !result.passed) : results;
+    if (shown.length > 0) {
+      console.log(formatVerificationTable(shown));
+    }
+    
+    if (failed > 0) {
+      logger.error(`\n✗ ${failed} of ${results.length} cards failed verification (${passed} passed)\n`);
+      process.exit(1);
+    }
+    
+    logger.success(`\n✓ All ${passed} cards verified\n`);
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Migration ${migrationId} not found`);
+      logger.info('Run: bf list migrations to see available migrations');
+    } else {
+      logger.error('Verification failed to run', error);
+    }
+    process.exit(2);
+  }
+}
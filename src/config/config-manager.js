@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { defaults } from './defaults.js';
+import { normalizeAccountSlug } from '../utils/validators.js';
 
 const CONFIG_DIR = path.join(os.homedir(), '.bc-fizzy-migrate');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
@@ -225,3 +226,51 @@ export async function clearContext() {
 export function getContext(config) {
   return config?.context || {};
 }
+
+/**
+ * Get the saved column mapping preset for a card table
+ * @param {Object} config - Loaded config
+ * @param {string} cardTableId - Basecamp card table ID
+ * @returns {Object|null} Choices keyed by Basecamp column ID
+ */
+export function getColumnPreset(config, cardTableId) {
+  return config?.mappings?.columns?.[cardTableId] || null;
+}
+
+/**
+ * Save column mapping choices as the preset for a card table
+ * Replaces the previous preset, so stale choices don't linger.
+ * @param {string} cardTableId - Basecamp card table ID
+ * @param {Object} choices - Choices keyed by Basecamp column ID
+ */
+export async function saveColumnPreset(cardTableId, choices) {
+  const config = await loadConfig();
+  if (!config.mappings) {
+    config.mappings = {};
+  }
+  if (!config.mappings.columns) {
+    config.mappings.columns = {};
+  }
+  config.mappings.columns[cardTableId] = choices;
+  await saveConfig(config);
+}
+
+/**
+ * Get the configured color overrides for a Fizzy account
+ * `color_palette.colors` applies to every account and
+ * `color_palette.accounts[slug]` to one account (it wins).
+ * @param {Object} config - Loaded config
+ * @param {string} accountSlug - Fizzy account slug
+ * @returns {Object} Basecamp color name -> Fizzy color
+ */
+export function getColorPalette(config, accountSlug) {
+  const palette = config?.color_palette || {};
+  const accounts = Object.fromEntries(
+    Object.entries(palette.accounts || {}).map(([slug, colors]) => [normalizeAccountSlug(slug), colors])
+  );
+
+  return {
+    ...palette.colors,
+    ...accounts[normalizeAccountSlug(accountSlug)]
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Migration Plan
+ * Loads and validates a declarative migration plan (YAML or JSON), so a
+ * migration can be reviewed and versioned before it runs
+ */
+
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { ValidationError } from '../utils/errors.js';
+import { normalizeAccountSlug } from '../utils/validators.js';
+import { COLUMN_CHOICES } from '../services/column-mapper.js';
+import { ON_HOLD_ACTIONS } from '../mappers/status-mapper.js';
+import { readTagRules, TAG_RULE_FIELDS } from '../mappers/tag-mapper.js';
+import {
+  DUE_DATE_MODES,
+  STEP_ASSIGNEE_STRATEGIES,
+  PROVENANCE_MODES,
+  PROVENANCE_POSITIONS
+} from '../mappers/card-mapper.js';
+
+const PLAN_SECTIONS = ['source', 'target', 'columns', 'users', 'options', 'tags', 'batch'];
+
+// Plan option -> runMigration option, with its type or allowed values
+const PLAN_OPTIONS = {
+  options: {
+    migrate_comments: { option: 'migrateComments', type: 'boolean' },
+    attachments: { option: 'migrateAttachments', type: 'boolean' },
+    update_existing: { option: 'updateExisting', type: 'boolean' },
+    skip_user_mapping: { option: 'skipUserMapping', type: 'boolean' },
+    due_dates: { option: 'dueDates', values: DUE_DATE_MODES },
+    step_assignees: { option: 'stepAssignees', values: STEP_ASSIGNEE_STRATEGIES },
+    provenance: { option: 'provenance', values: PROVENANCE_MODES },
+    provenance_position: { option: 'provenancePosition', values: PROVENANCE_POSITIONS },
+    column_order: { option: 'columnOrder', type: 'boolean' },
+    recolor_columns: { option: 'recolorColumns', type: 'boolean' },
+    on_hold: { option: 'onHold', values: ON_HOLD_ACTIONS }
+  },
+  tags: {
+    identity_tag: { option: 'identityTag', type: 'boolean' }
+  },
+  batch: {
+    size: { option: 'batchSize', type: 'integer' }
+  }
+};
+
+// Fields of a section that aren't runMigration options (read separately)
+const SECTION_EXTRA_FIELDS = {
+  tags: TAG_RULE_FIELDS
+};
+
+/**
+ * Load a migration plan file
+ * @param {string} file - Path to a .yaml/.yml or .json plan
+ * @returns {Promise<Object>} Plan with source, target, columns, users, tags and options
+ *   (options use runMigration's names)
+ * @throws {ValidationError} When the plan can't be parsed or is invalid
+ */
+export async function loadMigrationPlan(file) {
+  const content = await fs.readFile(file, 'utf-8');
+
+  let raw;
+  try {
+    // JSON is valid YAML, so one parser covers both
+    raw = yaml.load(content, { filename: file });
+  } catch (error) {
+    throw new ValidationError(`Could not parse ${file}: ${error.message}`, 'plan');
+  }
+
+  return validateMigrationPlan(raw);
+}
+
+/**
+ * Validate a parsed plan and normalize it
+ * @param {Object} raw - Parsed plan
+ * @returns {Object} Plan with source, target, columns, users, tags (tag rules) and options
+ * @throws {ValidationError} When a field is missing, unknown or has the wrong type
+ */
+export function validateMigrationPlan(raw) {
+  if (!isPlainObject(raw)) {
+    throw new ValidationError('The plan must be a mapping of sections (source, target, columns, ...)', 'plan');
+  }
+
+  checkKeys(raw, PLAN_SECTIONS, 'plan');
+
+  const source = readSection(raw, 'source', ['project', 'cardtable']);
+  const target = readSection(raw, 'target', ['account', 'board', 'create_board']);
+
+  if (source.project !== undefined) source.project = readId(source.project, 'source.project');
+  if (source.cardtable !== undefined) source.cardtable = readId(source.cardtable, 'source.cardtable');
+  if (target.board !== undefined) target.board = readId(target.board, 'target.board');
+
+  if (target.account !== undefined) {
+    target.account = normalizeAccountSlug(readId(target.account, 'target.account'));
+  }
+
+  if (target.create_board !== undefined && (typeof target.create_board !== 'string' || !target.create_board.trim())) {
+    throw new ValidationError('target.create_board must be the name of the board to create', 'target.create_board');
+  }
+
+  if (target.board && target.create_board) {
+    throw new ValidationError('Use either target.board or target.create_board, not both', 'target.board');
+  }
+
+  return {
+    source,
+    target,
+    columns: readColumns(raw.columns),
+    users: readUsers(raw.users),
+    // Options first, so unknown fields in tags name identity_tag too
+    options: readOptions(raw),
+    tags: readPlanTags(raw.tags)
+  };
+}
+
+/**
+ * Read the column override table
+ * Keys are Basecamp column names or IDs. Values are one of not_now, close,
+ * triage or create, or { map: <Fizzy column name or ID> } / { create: <name> }.
+ */
+function readColumns(columns) {
+  if (columns === undefined || columns === null) return {};
+  if (!isPlainObject(columns)) {
+    throw new ValidationError('columns must map Basecamp column names or IDs to a choice', 'columns');
+  }
+
+  const choices = Object.values(COLUMN_CHOICES);
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(columns)) {
+    const path = `columns.${key}`;
+
+    if (typeof value === 'string') {
+      if (!choices.includes(value) || value === COLUMN_CHOICES.MAP) {
+        throw new ValidationError(
+          `${path} must be one of not_now, close, triage, create, or { map: <Fizzy column> }`,
+          path
+        );
+      }
+      overrides[key] = { choice: value };
+      continue;
+    }
+
+    if (isPlainObject(value) && Object.keys(value).length === 1) {
+      if (value.map !== undefined) {
+        overrides[key] = { choice: COLUMN_CHOICES.MAP, fizzy_column: readId(value.map, `${path}.map`) };
+        continue;
+      }
+      if (typeof value.create === 'string' && value.create.trim()) {
+        overrides[key] = { choice: COLUMN_CHOICES.CREATE, name: value.create.trim() };
+        continue;
+      }
+    }
+
+    throw new ValidationError(
+      `${path} must be one of not_now, close, triage, create, { map: <Fizzy column> } or { create: <name> }`,
+      path
+    );
+  }
+
+  return overrides;
+}
+
+/**
+ * Read the user override table
+ * Keys are Basecamp user IDs or emails, values Fizzy user IDs or emails, or
+ * `skip` to leave the person unmapped.
+ */
+function readUsers(users) {
+  if (users === undefined || users === null) return {};
+  if (!isPlainObject(users)) {
+    throw new ValidationError('users must map Basecamp user IDs or emails to Fizzy users', 'users');
+  }
+
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(users)) {
+    const path = `users.${key}`;
+    overrides[key] = value === 'skip' || value === null ? null : readId(value, path);
+  }
+
+  return overrides;
+}
+
+/**
+ * Read the tag rules from the tags section (identity_tag is an option)
+ */
+function readPlanTags(tags) {
+  if (tags === undefined || tags === null || !isPlainObject(tags)) return {};
+
+  const rules = { ...tags };
+  delete rules.identity_tag;
+  return readTagRules(rules, 'tags');
+}
+
+/**
+ * Read the options, tags and batch sections into runMigration options
+ */
+function readOptions(raw) {
+  const options = {};
+
+  for (const [section, fields] of Object.entries(PLAN_OPTIONS)) {
+    const values = readSection(raw, section, [...Object.keys(fields), ...(SECTION_EXTRA_FIELDS[section] || [])]);
+
+    for (const [key, value] of Object.entries(values)) {
+      if (!fields[key]) continue;
+
+      const { option, type, values: allowed } = fields[key];
+      const path = `${section}.${key}`;
+
+      if (type === 'boolean' && typeof value !== 'boolean') {
+        throw new ValidationError(`${path} must be true or false`, path);
+      }
+      if (type === 'integer' && (!Number.isInteger(value) || value < 1)) {
+        throw new ValidationError(`${path} must be a positive whole number`, path);
+      }
+      if (allowed && !Object.values(allowed).includes(value)) {
+        throw new ValidationError(`${path} must be one of: ${Object.values(allowed).join(', ')}`, path);
+      }
+
+      options[option] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read an optional section and reject unknown keys
+ */
+function readSection(raw, name, allowedKeys) {
+  const section = raw[name];
+  if (section === undefined || section === null) return {};
+
+  if (!isPlainObject(section)) {
+    throw new ValidationError(`${name} must be a mapping`, name);
+  }
+
+  checkKeys(section, allowedKeys, name);
+  return { ...section };
+}
+
+/**
+ * Reject keys that aren't allowed, naming the ones that are
+ */
+function checkKeys(object, allowedKeys, path) {
+  for (const key of Object.keys(object)) {
+    if (!allowedKeys.includes(key)) {
+      const field = path === 'plan' ? key : `${path}.${key}`;
+      throw new ValidationError(`Unknown field ${field} (expected one of: ${allowedKeys.join(', ')})`, field);
+    }
+  }
+}
+
+/**
+ * Read an ID or name given as a string or number
+ */
+function readId(value, path) {
+  if ((typeof value !== 'string' && typeof value !== 'number') || value.toString().trim() === '') {
+    throw new ValidationError(`${path} must be an ID or name`, path);
+  }
+  return value.toString().trim();
+}
+
+/**
+ * Check for a YAML mapping / JSON object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -3,11 +3,64 @@
  * Transforms Basecamp cards to Fizzy card format
  */
 
-import { convertBasecampToFizzyHTML } from './html-converter.js';
+import { format, parseISO } from 'date-fns';
+import { convertRichText, escapeHtml } from './html-converter.js';
+import { mapBasecampColorToFizzy, isKnownColor, BASECAMP_TO_FIZZY_COLORS } from './status-mapper.js';
+import { buildCardTags } from './tag-mapper.js';
 
 // Fizzy card title limits (conservative to avoid 500 errors)
 const MAX_TITLE_LENGTH = 255;
 
+/**
+ * How Basecamp due dates are carried over
+ * Fizzy cards and steps have no due date field, so dates are written
+ * into the card description and step titles.
+ */
+export const DUE_DATE_MODES = {
+  DESCRIPTION: 'description',  // "Due: …" line on cards, "(Due: …)" suffix on steps
+  NONE: 'none'                 // Drop due dates
+};
+
+/**
+ * How Basecamp step assignees are carried over
+ * Fizzy steps have no assignees.
+ */
+export const STEP_ASSIGNEE_STRATEGIES = {
+  TITLE: 'title',      // Append "(@Name)" to the step title
+  CARD: 'card',        // Assign the (mapped) person to the card
+  COMMENT: 'comment',  // Post one comment listing who owned which step
+  NONE: 'none'         // Drop step assignees
+};
+
+/**
+ * When a provenance note (original creator, dates, Basecamp link) is added to cards
+ */
+export const PROVENANCE_MODES = {
+  ALWAYS: 'always',      // Every card
+  UNMAPPED: 'unmapped',  // Only cards whose creator has no Fizzy user
+  NEVER: 'never'         // No provenance note
+};
+
+/**
+ * Where the provenance note goes in the card description
+ */
+export const PROVENANCE_POSITIONS = {
+  HEADER: 'header',
+  FOOTER: 'footer'
+};
+
+/**
+ * Card options used when a migration doesn't set them
+ * Step owners in titles and provenance notes change what lands in Fizzy,
+ * so they are opt-in.
+ */
+export const CARD_OPTION_DEFAULTS = {
+  dueDates: DUE_DATE_MODES.DESCRIPTION,
+  stepAssignees: STEP_ASSIGNEE_STRATEGIES.NONE,
+  provenance: PROVENANCE_MODES.NEVER,
+  provenancePosition: PROVENANCE_POSITIONS.FOOTER
+};
+
 /**
  * Map a Basecamp card to Fizzy card format
  * @param {Object} basecampCard - Basecamp card object
@@ -15,47 +68,88 @@ const MAX_TITLE_LENGTH = 255;
  * @param {Object} context.userMappings - User ID mappings (basecamp_id -> fizzy_id)
  * @param {Object} context.columnMappings - Column mappings (basecamp_column_id -> action)
  * @param {string} context.currentUserFizzyId - Current authenticated Fizzy user ID
+ * @param {string} context.dueDates - Due date mode (see DUE_DATE_MODES)
+ * @param {string} context.stepAssignees - Step assignee strategy (see STEP_ASSIGNEE_STRATEGIES)
+ * @param {string} context.provenance - Provenance mode (see PROVENANCE_MODES)
+ * @param {string} context.provenancePosition - Provenance position (see PROVENANCE_POSITIONS)
+ * @param {Object} context.colorPalette - Color palette for card colors (see buildColorPalette)
+ * @param {Object} context.tagRules - Tag rules (see readTagRules)
+ * @param {string} context.projectName - Basecamp project name, for the project tag
  * @returns {Object} Mapped card data with metadata
  */
 export function mapCard(basecampCard, context) {
-  const { userMappings = {}, columnMappings = {}, currentUserFizzyId } = context;
+  const {
+    userMappings = {},
+    columnMappings = {},
+    currentUserFizzyId,
+    dueDates = CARD_OPTION_DEFAULTS.dueDates,
+    stepAssignees = CARD_OPTION_DEFAULTS.stepAssignees,
+    provenance = CARD_OPTION_DEFAULTS.provenance,
+    provenancePosition = CARD_OPTION_DEFAULTS.provenancePosition,
+    colorPalette = BASECAMP_TO_FIZZY_COLORS,
+    tagRules = {},
+    projectName = null
+  } = context;
 
   // Extract description (Basecamp uses 'content' field)
-  let description = basecampCard.content 
-    ? convertBasecampToFizzyHTML(basecampCard.content)
-    : '';
+  const converted = convertRichText(basecampCard.content, { userMappings });
+  let description = converted.html;
 
   // Map assignees (filter out unmapped users)
   const assignees = mapAssignees(basecampCard.assignees || [], userMappings);
 
   // Map steps/checklist items
-  const steps = mapSteps(basecampCard.steps || [], userMappings);
+  const steps = mapSteps(basecampCard.steps || [], userMappings, { dueDates, stepAssignees });
+
+  // Step owners become card assignees with the "card" strategy
+  if (stepAssignees === STEP_ASSIGNEE_STRATEGIES.CARD) {
+    for (const assignment of steps.assignments) {
+      if (assignment.fizzy_id && !assignees.mapped.includes(assignment.fizzy_id)) {
+        assignees.mapped.push(assignment.fizzy_id);
+      }
+    }
+  }
 
   // Determine column action
   const columnAction = columnMappings[basecampCard.parent?.id] || null;
 
   // Handle long titles by moving overflow to description
   let title = basecampCard.title;
-  if (title && title.length > MAX_TITLE_LENGTH) {
+  const titleTruncated = !!(title && title.length > MAX_TITLE_LENGTH);
+  if (titleTruncated) {
     const truncatedPart = title.substring(MAX_TITLE_LENGTH);
     title = title.substring(0, MAX_TITLE_LENGTH);
     
     // Prepend truncated part to description
-    if (description) {
-      description = `${truncatedPart}\n\n---\n\n${description}`;
+    const overflow = `<p>${escapeHtml(truncatedPart)}</p>`;
+    description = description ? `${overflow}\n<hr>\n${description}` : overflow;
+  }
+
+  // Carry over the due date
+  if (basecampCard.due_on && dueDates === DUE_DATE_MODES.DESCRIPTION) {
+    const dueLine = `<p><strong>Due:</strong> ${formatDueDate(basecampCard.due_on)}</p>`;
+    description = description ? `${dueLine}\n${description}` : dueLine;
+  }
+
+  // Record who created the card in Basecamp and when
+  const creatorMapping = userMappings[basecampCard.creator?.id?.toString()];
+  const creatorMapped = !!(creatorMapping && creatorMapping.fizzy_id);
+  const addProvenance = provenance === PROVENANCE_MODES.ALWAYS ||
+    (provenance === PROVENANCE_MODES.UNMAPPED && !creatorMapped);
+
+  if (addProvenance) {
+    const note = buildProvenanceNote(basecampCard);
+    if (!description) {
+      description = note;
+    } else if (provenancePosition === PROVENANCE_POSITIONS.HEADER) {
+      description = `${note}\n${description}`;
     } else {
-      description = truncatedPart;
+      description = `${description}\n${note}`;
     }
   }
 
-  // Add Basecamp ID marker to description (for duplicate detection)
-  // Format: #basecamp-id-{id}
-  const basecampMarker = `#basecamp-id-${basecampCard.id}`;
-  if (description) {
-    description = `${description}\n\n${basecampMarker}`;
-  } else {
-    description = basecampMarker;
-  }
+  // Add hidden Basecamp ID marker to description (for duplicate detection)
+  description = `${description || ''}${buildCardMarker(basecampCard.id)}`;
 
   // Build Fizzy card object
   const fizzyCard = {
@@ -64,6 +158,16 @@ export function mapCard(basecampCard, context) {
     status: 'published'
   };
 
+  // Backdate the card to its Basecamp creation time
+  if (basecampCard.created_at) {
+    fizzyCard.created_at = basecampCard.created_at;
+  }
+
+  // Colored cards keep their color, through the same palette as columns
+  if (basecampCard.color) {
+    fizzyCard.color = mapBasecampColorToFizzy(basecampCard.color, colorPalette);
+  }
+
   // Return card with metadata for migration process
   return {
     card: fizzyCard,
@@ -72,15 +176,33 @@ export function mapCard(basecampCard, context) {
       basecamp_url: basecampCard.app_url,
       basecamp_parent_id: basecampCard.parent?.id,
       basecamp_parent_title: basecampCard.parent?.title,
+      title_truncated: titleTruncated,
       column_action: columnAction,
       assignee_ids: assignees.mapped,
       unmapped_assignees: assignees.unmapped,
       steps: steps.mapped,
+      step_assignments: steps.assignments,
       unmapped_step_assignees: steps.unmappedAssignees,
+      due_on: basecampCard.due_on || null,
+      steps_with_due_dates: steps.withDueDates,
       completed: basecampCard.completed || false,
+      creator: basecampCard.creator ? {
+        id: basecampCard.creator.id,
+        name: basecampCard.creator.name,
+        email: basecampCard.creator.email_address,
+        fizzy_id: creatorMapped ? creatorMapping.fizzy_id : null
+      } : null,
+      has_provenance: addProvenance,
       created_at: basecampCard.created_at,
       updated_at: basecampCard.updated_at,
-      comments_count: basecampCard.comments_count || 0
+      comments_count: basecampCard.comments_count || 0,
+      unknown_color: isKnownColor(basecampCard.color, colorPalette) ? null : basecampCard.color,
+      tags: buildCardTags(basecampCard, {
+        column_action: columnAction,
+        completed: basecampCard.completed || false,
+        basecamp_parent_title: basecampCard.parent?.title
+      }, tagRules, { projectName }),
+      conversion_warnings: converted.warnings
     }
   };
 }
@@ -117,41 +239,150 @@ export function mapAssignees(basecampAssignees, userMappings) {
  * Map Basecamp steps/checklist items to Fizzy steps
  * @param {Array} basecampSteps - Array of Basecamp step objects
  * @param {Object} userMappings - User ID mappings
- * @returns {Object} Object with mapped steps and unmapped assignees
+ * @param {Object} options - Options
+ * @param {string} options.dueDates - Due date mode (see DUE_DATE_MODES)
+ * @param {string} options.stepAssignees - Step assignee strategy (see STEP_ASSIGNEE_STRATEGIES)
+ * @returns {Object} Object with mapped steps, step assignments, unmapped assignees and due date count
  */
-export function mapSteps(basecampSteps, userMappings) {
+export function mapSteps(basecampSteps, userMappings, options = {}) {
+  const {
+    dueDates = CARD_OPTION_DEFAULTS.dueDates,
+    stepAssignees = CARD_OPTION_DEFAULTS.stepAssignees
+  } = options;
   const mapped = [];
+  const assignments = [];
   const unmappedAssignees = [];
+  let withDueDates = 0;
 
   for (const step of basecampSteps) {
+    const stepTitle = step.content || step.title;
     const fizzyStep = {
-      title: step.content || step.title,
+      title: stepTitle,
       completed: step.completed || false
     };
 
-    // Note: Fizzy steps don't support assignees
-    // If Basecamp step has an assignee, track it as unmapped
-    if (step.assignee) {
-      const basecampId = step.assignee.id.toString();
-      const mapping = userMappings[basecampId];
+    // Fizzy steps don't support assignees, so owners are recorded here and
+    // carried over according to the step assignee strategy
+    const owners = [];
+    for (const assignee of getStepAssignees(step)) {
+      const mapping = userMappings[assignee.id.toString()];
+      const hasMapping = !!(mapping && mapping.fizzy_id);
 
-      if (!mapping || !mapping.fizzy_id) {
+      if (!hasMapping) {
         unmappedAssignees.push({
-          step_title: fizzyStep.title,
-          assignee_id: step.assignee.id,
-          assignee_name: step.assignee.name,
-          assignee_email: step.assignee.email_address
+          step_title: stepTitle,
+          assignee_id: assignee.id,
+          assignee_name: assignee.name,
+          assignee_email: assignee.email_address
         });
-      } else {
-        // Track that this step had a mapped assignee (for reporting)
-        fizzyStep.had_assignee = mapping.fizzy_name;
+      }
+
+      const owner = {
+        step_title: stepTitle,
+        name: hasMapping ? mapping.fizzy_name : assignee.name,
+        fizzy_id: hasMapping ? mapping.fizzy_id : null
+      };
+      owners.push(owner);
+      assignments.push(owner);
+    }
+
+    if (owners.length > 0 && stepAssignees === STEP_ASSIGNEE_STRATEGIES.TITLE) {
+      fizzyStep.title = `${fizzyStep.title} (${owners.map(owner => `@${owner.name}`).join(', ')})`;
+    }
+
+    if (step.due_on) {
+      withDueDates++;
+      if (dueDates === DUE_DATE_MODES.DESCRIPTION) {
+        fizzyStep.title = `${fizzyStep.title} (Due: ${formatDueDate(step.due_on)})`;
       }
     }
 
     mapped.push(fizzyStep);
   }
 
-  return { mapped, unmappedAssignees };
+  return { mapped, assignments, unmappedAssignees, withDueDates };
+}
+
+/**
+ * Get the assignees of a Basecamp step
+ * Steps expose an `assignees` array; older payloads use a single `assignee`.
+ * @param {Object} step - Basecamp step
+ * @returns {Array} Assignee objects
+ */
+function getStepAssignees(step) {
+  if (Array.isArray(step.assignees)) {
+    return step.assignees;
+  }
+  return step.assignee ? [step.assignee] : [];
+}
+
+/**
+ * Build a comment listing who owned which step
+ * Used by the "comment" step assignee strategy.
+ * @param {Array} assignments - Step assignments from mapSteps
+ * @returns {string} Comment HTML
+ */
+export function buildStepOwnersComment(assignments) {
+  const items = assignments
+    .map(assignment => `<li>${escapeHtml(assignment.step_title)} — ${escapeHtml(assignment.name)}</li>`)
+    .join('');
+
+  return `<p><strong>Step owners in Basecamp:</strong></p><ul>${items}</ul>`;
+}
+
+/**
+ * Format a Basecamp due date (YYYY-MM-DD) for display
+ * @param {string} dueOn - Basecamp due date
+ * @returns {string} Formatted date, e.g. "Thu 12 Mar 2026"
+ */
+export function formatDueDate(dueOn) {
+  try {
+    return format(parseISO(dueOn), 'EEE d MMM yyyy');
+  } catch {
+    return dueOn;
+  }
+}
+
+/**
+ * Build the provenance note for a card
+ * @param {Object} basecampCard - Basecamp card object
+ * @returns {string} Provenance HTML, e.g.
+ *   "Created by Jane Doe on Thu 12 Mar 2026 · Last updated Fri 13 Mar 2026 · View in Basecamp"
+ */
+export function buildProvenanceNote(basecampCard) {
+  const parts = [];
+  const creatorName = basecampCard.creator?.name;
+
+  if (creatorName && basecampCard.created_at) {
+    parts.push(`Created by ${escapeHtml(creatorName)} on ${formatTimestamp(basecampCard.created_at)}`);
+  } else if (creatorName) {
+    parts.push(`Created by ${escapeHtml(creatorName)}`);
+  } else if (basecampCard.created_at) {
+    parts.push(`Created on ${formatTimestamp(basecampCard.created_at)}`);
+  }
+
+  if (basecampCard.updated_at && basecampCard.updated_at !== basecampCard.created_at) {
+    parts.push(`Last updated ${formatTimestamp(basecampCard.updated_at)}`);
+  }
+
+  if (basecampCard.app_url) {
+    parts.push(`<a href="${escapeHtml(basecampCard.app_url)}">View in Basecamp</a>`);
+  }
+
+  return `<p><em>${parts.join(' · ')}</em></p>`;
+}
+
+/**
+ * Format a Basecamp timestamp (ISO 8601) for display
+ * @param {string} timestamp - Basecamp timestamp
+ * @returns {string} Formatted date and time, e.g. "Thu 12 Mar 2026, 14:05"
+ */
+export function formatTimestamp(timestamp) {
+  try {
+    return format(parseISO(timestamp), 'EEE d MMM yyyy, HH:mm');
+  } catch {
+    return timestamp;
+  }
 }
 
 /**
@@ -165,15 +396,15 @@ export function mapComment(basecampComment, userMappings, currentUserFizzyId) {
   const creatorId = basecampComment.creator?.id?.toString();
   const mapping = userMappings[creatorId];
 
-  let body = basecampComment.content 
-    ? convertBasecampToFizzyHTML(basecampComment.content)
-    : '';
+  const converted = convertRichText(basecampComment.content, { userMappings });
+  const body = converted.html;
 
   const result = {
     body: body,
     author_fizzy_id: null,
     needs_attribution: false,
-    original_author: null
+    original_author: null,
+    conversion_warnings: converted.warnings
   };
 
   if (mapping && mapping.fizzy_id) {
@@ -190,14 +421,55 @@ export function mapComment(basecampComment, userMappings, currentUserFizzyId) {
 
     // Prepend attribution to comment body
     const date = new Date(basecampComment.created_at).toLocaleDateString();
-    result.body = `_Original comment by ${basecampComment.creator.name} on ${date}_\n\n${body}`;
+    const attribution = `Original comment by ${escapeHtml(basecampComment.creator.name || 'unknown')} on ${date}`;
+    result.body = `<p><strong>${attribution}</strong></p>\n${body}`;
+  }
+
+  // Hidden Basecamp comment ID marker (for duplicate detection)
+  if (basecampComment.id) {
+    result.body = `${result.body}${buildCommentMarker(basecampComment.id)}`;
   }
 
   return result;
 }
 
+/**
+ * Build the hidden marker that identifies a migrated comment
+ * An empty link is kept by Fizzy's sanitizer but doesn't show up in the comment.
+ * @param {string|number} basecampCommentId - Basecamp comment ID
+ * @returns {string} Marker HTML
+ */
+export function buildCommentMarker(basecampCommentId) {
+  return `<a href="#basecamp-comment-id-${basecampCommentId}"></a>`;
+}
+
+/**
+ * Extract the Basecamp comment ID from a Fizzy comment body
+ * @param {string} body - Comment body
+ * @returns {string|null} Basecamp comment ID or null if not found
+ */
+export function extractBasecampCommentId(body) {
+  if (!body) return null;
+
+  // Match format: #basecamp-comment-id-{id}
+  const match = body.match(/#basecamp-comment-id-(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the hidden marker that identifies a migrated card
+ * Like the comment marker, an empty link that Fizzy keeps but doesn't show.
+ * @param {string|number} basecampId - Basecamp card ID
+ * @returns {string} Marker HTML
+ */
+export function buildCardMarker(basecampId) {
+  return `<a href="#basecamp-id-${basecampId}"></a>`;
+}
+
 /**
  * Extract Basecamp ID from card description
+ * Matches the hidden marker as well as the visible `#basecamp-id-{id}` text
+ * written by earlier versions.
  * @param {string} description - Card description
  * @returns {string|null} Basecamp ID or null if not found
  */
@@ -208,3 +480,35 @@ export function extractBasecampId(description) {
   const match = description.match(/#basecamp-id-(\d+)/);
   return match ? match[1] : null;
 }
+
+/**
+ * Extract Basecamp ID from a hidden card marker only
+ * @param {string} description - Card description
+ * @returns {string|null} Basecamp ID or null if there is no hidden marker
+ */
+export function extractHiddenBasecampId(description) {
+  if (!description) return null;
+
+  const match = description.match(/href="#basecamp-id-(\d+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Replace visible `#basecamp-id-{id}` markers with the hidden marker
+ * @param {string} description - Card description
+ * @param {string} basecampId - Basecamp card ID
+ * @returns {string} Description with a single hidden marker
+ */
+export function upgradeCardMarker(description, basecampId) {
+  const cleaned = (description || '')
+    // Visible marker text, with the blank lines before it
+    .replace(/(\s|<br\s*\/?>|&nbsp;)*(?<!href=")#basecamp-id-\d+/g, '')
+    // Paragraphs left empty by removing the marker
+    .replace(/<(p|div)>\s*<\/\1>/g, '')
+    .trimEnd();
+
+  if (extractHiddenBasecampId(cleaned)) {
+    return cleaned;
+  }
+  return `${cleaned}${buildCardMarker(basecampId)}`;
+}
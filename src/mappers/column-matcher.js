@@ -0,0 +1,176 @@
+/**
+ * Column Matcher
+ * Scores how well two column names match, ignoring case, emoji, punctuation
+ * and plurals, and treating names from the same synonym group as equal
+ */
+
+/**
+ * Confidence thresholds for column matches
+ */
+export const MATCH_CONFIDENCE = {
+  AUTO: 0.9,     // Use the match without asking
+  CONFIRM: 0.6   // Use the match only after confirmation
+};
+
+/**
+ * Column names that mean the same thing
+ * Extend with `column_synonyms` in config.json (an array of name groups).
+ */
+export const DEFAULT_COLUMN_SYNONYMS = [
+  ['in progress', 'doing', 'wip', 'work in progress', 'working on', 'ongoing', 'started'],
+  ['to do', 'todo', 'up next', 'next', 'ready'],
+  ['review', 'in review', 'to review', 'reviewing', 'code review'],
+  ['qa', 'testing', 'test', 'quality assurance'],
+  ['blocked', 'on hold', 'waiting', 'stuck'],
+  ['backlog', 'icebox'],
+  ['done', 'complete', 'completed', 'finished', 'shipped']
+];
+
+// Scores for each way two names can match
+const SCORES = {
+  EXACT: 1,
+  NORMALIZED: 0.97,  // Differs only in case, emoji, punctuation or plurals
+  SYNONYM: 0.9,
+  SIMILAR: 0.85      // Multiplied by the edit similarity (typos)
+};
+
+// Names ambiguous within this margin of the best match are flagged
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Normalize a column name for comparison
+ * Lower-cases, strips accents, emoji and punctuation, and singularizes words,
+ * so "✅ Done!" and "done" or "Bugs" and "bug" compare equal.
+ * @param {string} name - Column name
+ * @returns {string} Normalized name
+ */
+export function normalizeColumnName(name) {
+  if (!name) return '';
+
+  return name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[\p{Extended_Pictographic}\p{P}\p{S}]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+/**
+ * Score how well two column names match
+ * @param {string} nameA - Column name
+ * @param {string} nameB - Column name
+ * @param {Array} [synonyms] - Synonym groups (defaults to DEFAULT_COLUMN_SYNONYMS)
+ * @returns {number} Confidence between 0 and 1
+ */
+export function scoreColumnMatch(nameA, nameB, synonyms = DEFAULT_COLUMN_SYNONYMS) {
+  if (!nameA || !nameB) return 0;
+
+  if (nameA.toLowerCase().trim() === nameB.toLowerCase().trim()) {
+    return SCORES.EXACT;
+  }
+
+  const a = normalizeColumnName(nameA);
+  const b = normalizeColumnName(nameB);
+
+  if (!a || !b) return 0;
+
+  if (a === b) {
+    return SCORES.NORMALIZED;
+  }
+
+  if (areSynonyms(a, b, synonyms)) {
+    return SCORES.SYNONYM;
+  }
+
+  return SCORES.SIMILAR * similarity(a, b);
+}
+
+/**
+ * Find the best matching column for a name
+ * @param {string} name - Column name to match
+ * @param {Array} columns - Candidate columns (with name or title)
+ * @param {Object} [options] - Options
+ * @param {Array} [options.synonyms] - Synonym groups
+ * @returns {Object|null} Object with column, score and ambiguous (other columns scoring
+ *   about the same), or null when nothing reaches MATCH_CONFIDENCE.CONFIRM
+ */
+export function findBestColumnMatch(name, columns, options = {}) {
+  const { synonyms = DEFAULT_COLUMN_SYNONYMS } = options;
+
+  const scored = columns
+    .map(column => ({ column, score: scoreColumnMatch(name, column.name || column.title, synonyms) }))
+    .filter(match => match.score >= MATCH_CONFIDENCE.CONFIRM)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const [best, ...rest] = scored;
+  return {
+    column: best.column,
+    score: best.score,
+    ambiguous: rest
+      .filter(match => best.score - match.score <= AMBIGUITY_MARGIN)
+      .map(match => match.column)
+  };
+}
+
+/**
+ * Merge configured synonym groups with the defaults
+ * @param {Array} [extraGroups] - Groups from config
+ * @returns {Array} Synonym groups
+ */
+export function buildSynonyms(extraGroups = []) {
+  return [...DEFAULT_COLUMN_SYNONYMS, ...(Array.isArray(extraGroups) ? extraGroups : [])];
+}
+
+/**
+ * Check whether two normalized names are in the same synonym group
+ */
+function areSynonyms(a, b, synonyms) {
+  return synonyms.some(group => {
+    const names = group.map(normalizeColumnName);
+    return names.includes(a) && names.includes(b);
+  });
+}
+
+/**
+ * Reduce an English plural to its singular form
+ */
+function singularize(word) {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Similarity of two strings from their edit distance (1 = equal)
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
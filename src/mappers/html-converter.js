@@ -1,27 +1,306 @@
 /**
  * HTML Converter
- * Processes HTML content from Basecamp to Fizzy format
- * 
- * Version 1: Pass-through implementation
- * Fizzy will sanitize HTML on their end
+ * Converts Basecamp rich text (Trix / Action Text) to HTML that Fizzy accepts
+ *
+ * Every element is looked up in ELEMENT_MAP, which decides whether it is kept,
+ * renamed, unwrapped or removed. Attributes are filtered through
+ * ALLOWED_ATTRIBUTES. Anything the converter can't represent in Fizzy is
+ * reported as a structured warning instead of being silently dropped.
  */
 
+import * as cheerio from 'cheerio';
+
+/**
+ * Element handling table
+ * - keep:    element is kept as-is (attributes are still filtered)
+ * - rename:  element is renamed to `to`
+ * - unwrap:  element is replaced by its children
+ * - remove:  element and its contents are dropped (with a warning)
+ * - block:   Trix line wrapper, becomes a paragraph or is unwrapped
+ * - special: handled by a dedicated converter below
+ */
+export const ELEMENT_MAP = {
+  p: { action: 'keep' },
+  br: { action: 'keep' },
+  strong: { action: 'keep' },
+  b: { action: 'rename', to: 'strong' },
+  em: { action: 'keep' },
+  i: { action: 'rename', to: 'em' },
+  u: { action: 'keep' },
+  del: { action: 'keep' },
+  s: { action: 'rename', to: 'del' },
+  strike: { action: 'rename', to: 'del' },
+  a: { action: 'keep' },
+  ul: { action: 'keep' },
+  ol: { action: 'keep' },
+  li: { action: 'keep' },
+  pre: { action: 'keep' },
+  code: { action: 'keep' },
+  blockquote: { action: 'keep' },
+  h1: { action: 'keep' },
+  h2: { action: 'keep' },
+  h3: { action: 'keep' },
+  h4: { action: 'keep' },
+  h5: { action: 'rename', to: 'h4' },
+  h6: { action: 'rename', to: 'h4' },
+  hr: { action: 'keep' },
+  img: { action: 'keep' },
+  figure: { action: 'unwrap' },
+  figcaption: { action: 'rename', to: 'p' },
+  span: { action: 'unwrap' },
+  font: { action: 'unwrap' },
+  div: { action: 'block' },
+  'action-text-attachment': { action: 'keep' },
+  'bc-attachment': { action: 'special' },
+  script: { action: 'remove' },
+  style: { action: 'remove' },
+  iframe: { action: 'remove' },
+  object: { action: 'remove' },
+  embed: { action: 'remove' },
+  form: { action: 'remove' },
+  input: { action: 'remove' }
+};
+
+/**
+ * Attributes Fizzy accepts per element
+ */
+export const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start'],
+  'action-text-attachment': [
+    'sgid', 'content-type', 'url', 'filename', 'filesize',
+    'width', 'height', 'caption', 'presentation'
+  ]
+};
+
+// Attributes holding URLs, dropped unless they match SAFE_URL
+const URL_ATTRIBUTES = ['href', 'src', 'url'];
+
+// Elements that make a Trix <div> a container instead of a line
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'ul', 'ol', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4',
+  'hr', 'figure', 'action-text-attachment'
+]);
+
+const MENTION_CONTENT_TYPE = 'application/vnd.basecamp.mention';
+// Relative paths are fine, protocol-relative URLs (//host) are not
+const SAFE_URL = /^(https?:|mailto:|\/(?!\/)|#)/i;
+
 /**
  * Convert Basecamp HTML to Fizzy HTML
  * @param {string} html - Basecamp HTML content
+ * @param {Object} options - Conversion options (see convertRichText)
  * @returns {string} Fizzy-compatible HTML
  */
-export function convertBasecampToFizzyHTML(html) {
+export function convertBasecampToFizzyHTML(html, options = {}) {
+  return convertRichText(html, options).html;
+}
+
+/**
+ * Convert Basecamp HTML to Fizzy HTML and report what couldn't be converted
+ * @param {string} html - Basecamp HTML content
+ * @param {Object} options - Conversion options
+ * @param {Object} options.userMappings - User mappings, used to resolve mentions to Fizzy names
+ * @returns {Object} Object with html and warnings
+ *   (each warning has element, action, message and optional content_type)
+ */
+export function convertRichText(html, options = {}) {
   if (!html || typeof html !== 'string') {
-    return '';
+    return { html: '', warnings: [] };
+  }
+
+  const $ = cheerio.load(html, null, false);
+  const context = {
+    $,
+    warnings: [],
+    mentionNames: buildMentionIndex(options.userMappings || {})
+  };
+
+  for (const node of $.root().contents().toArray()) {
+    convertNode(node, context);
+  }
+
+  return {
+    html: $.html().trim(),
+    warnings: context.warnings
+  };
+}
+
+/**
+ * Convert a node and its descendants (children first, so parents see the final shape)
+ */
+function convertNode(node, context) {
+  if (node.type === 'comment' || node.type === 'directive') {
+    context.$(node).remove();
+    return;
+  }
+
+  if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') {
+    return;
+  }
+
+  const { $ } = context;
+  const tag = node.name.toLowerCase();
+  const rule = ELEMENT_MAP[tag];
+
+  if (rule?.action === 'remove') {
+    addConversionWarning(context, tag, 'removed', `Removed unsupported <${tag}> element`);
+    $(node).remove();
+    return;
+  }
+
+  if (rule?.action === 'special') {
+    convertBasecampAttachment(node, context);
+    return;
+  }
+
+  for (const child of $(node).contents().toArray()) {
+    convertNode(child, context);
+  }
+
+  if (!rule) {
+    addConversionWarning(context, tag, 'unwrapped', `Unwrapped unsupported <${tag}> element`);
+    $(node).replaceWith($(node).contents());
+    return;
+  }
+
+  switch (rule.action) {
+    case 'rename':
+      node.name = rule.to;
+      break;
+
+    case 'unwrap':
+      $(node).replaceWith($(node).contents());
+      return;
+
+    case 'block':
+      if (containsBlockElement($, node)) {
+        $(node).replaceWith($(node).contents());
+        return;
+      }
+      node.name = 'p';
+      break;
+  }
+
+  filterAttributes(node, context);
+}
+
+/**
+ * Convert a <bc-attachment> that the attachment pipeline didn't replace
+ */
+function convertBasecampAttachment(node, context) {
+  const { $ } = context;
+  const $attachment = $(node);
+  const contentType = $attachment.attr('content-type') || '';
+
+  if (contentType === MENTION_CONTENT_TYPE) {
+    const name = getMentionName($attachment);
+    const fizzyName = context.mentionNames[name.toLowerCase()] || name;
+    $attachment.replaceWith(`@${escapeHtml(fizzyName)}`);
+    return;
+  }
+
+  const href = $attachment.attr('href') || $attachment.attr('url');
+  const label = $attachment.attr('caption') || $attachment.attr('filename') || href;
+
+  if (href && SAFE_URL.test(href)) {
+    addConversionWarning(context, 'bc-attachment', 'linked', `Attachment "${label}" kept as a link`, contentType);
+    $attachment.replaceWith($('<a>').attr('href', href).text(label));
+    return;
+  }
+
+  addConversionWarning(context, 'bc-attachment', 'removed', 'Removed attachment without a URL', contentType);
+  $attachment.remove();
+}
+
+/**
+ * Read the display name from a Basecamp mention
+ */
+function getMentionName($attachment) {
+  const caption = $attachment.find('figcaption').text().trim();
+  if (caption) return caption;
+
+  const alt = $attachment.find('img').attr('alt');
+  if (alt) return alt.trim();
+
+  return $attachment.text().trim() || 'unknown';
+}
+
+/**
+ * Build a lookup of Basecamp name (lower-cased) -> Fizzy name
+ */
+function buildMentionIndex(userMappings) {
+  const index = {};
+
+  for (const mapping of Object.values(userMappings)) {
+    if (mapping.basecamp_name && mapping.fizzy_name) {
+      index[mapping.basecamp_name.toLowerCase()] = mapping.fizzy_name;
+      // Basecamp mentions often show first names only
+      const firstName = mapping.basecamp_name.split(' ')[0].toLowerCase();
+      if (!index[firstName]) {
+        index[firstName] = mapping.fizzy_name;
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Check whether an element contains block-level children
+ */
+function containsBlockElement($, node) {
+  return $(node).children().toArray().some(child => BLOCK_ELEMENTS.has(child.name));
+}
+
+/**
+ * Strip attributes Fizzy doesn't accept and unsafe URLs
+ * An image without a safe source is removed, since nothing would be left of it.
+ */
+function filterAttributes(node, context) {
+  const allowed = ALLOWED_ATTRIBUTES[node.name] || [];
+
+  for (const name of Object.keys(node.attribs || {})) {
+    if (!allowed.includes(name)) {
+      delete node.attribs[name];
+    }
   }
 
-  // v1: Return as-is, let Fizzy handle sanitization
-  // Future versions could implement:
-  // - Link transformation
-  // - Image URL validation
-  // - HTML sanitization
-  // - Markdown conversion
-  
-  return html.trim();
+  for (const name of URL_ATTRIBUTES) {
+    if (node.attribs?.[name] && !SAFE_URL.test(node.attribs[name].trim())) {
+      delete node.attribs[name];
+
+      if (node.name === 'img') {
+        addConversionWarning(context, 'img', 'removed', 'Removed image without a safe URL');
+        context.$(node).remove();
+        return;
+      }
+      addConversionWarning(context, node.name, 'stripped', `Removed unsafe ${name} from <${node.name}> element`);
+    }
+  }
+}
+
+/**
+ * Record a structured conversion warning
+ */
+function addConversionWarning(context, element, action, message, contentType = null) {
+  const warning = { element, action, message };
+  if (contentType) {
+    warning.content_type = contentType;
+  }
+  context.warnings.push(warning);
+}
+
+/**
+ * Escape text for insertion as HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
@@ -3,8 +3,11 @@
  * Maps Basecamp columns and colors to Fizzy actions and colors
  */
 
+import { scoreColumnMatch, normalizeColumnName, MATCH_CONFIDENCE } from './column-matcher.js';
+
 /**
- * Basecamp color to Fizzy color variable mapping
+ * Default Basecamp color to Fizzy color variable mapping
+ * Override or extend it with `color_palette` in config.json (see buildColorPalette).
  */
 export const BASECAMP_TO_FIZZY_COLORS = {
   'purple': 'var(--color-card-7)',
@@ -38,18 +41,60 @@ export const FIZZY_ACTIONS = {
   TRIAGE_TO_COLUMN: 'triage_to_column' // Move to specific column
 };
 
+/**
+ * What happens to cards in a Basecamp column's "On hold" section
+ */
+export const ON_HOLD_ACTIONS = {
+  TAG: 'tag',          // Place with the rest of the column and tag the card
+  COLUMN: 'column',    // Move to a separate "<column> (On hold)" Fizzy column
+  NOT_NOW: 'not_now',  // Move to "Not Now"
+  KEEP: 'keep'         // Place with the rest of the column, on-hold state is dropped
+};
+
+/**
+ * Tag added to on-hold cards with ON_HOLD_ACTIONS.TAG
+ */
+export const ON_HOLD_TAG = 'on-hold';
+
+/**
+ * Build a color palette from the defaults and configured overrides
+ * @param {Object} [overrides] - Basecamp color name -> Fizzy color (e.g. from getColorPalette)
+ * @returns {Object} Palette keyed by lower-cased Basecamp color name
+ */
+export function buildColorPalette(overrides = {}) {
+  const palette = { ...BASECAMP_TO_FIZZY_COLORS };
+
+  for (const [name, color] of Object.entries(overrides || {})) {
+    palette[name.toLowerCase()] = color;
+  }
+
+  return palette;
+}
+
 /**
  * Map Basecamp color to Fizzy color variable
  * @param {string} basecampColor - Basecamp color name
+ * @param {Object} [palette] - Palette from buildColorPalette (defaults to BASECAMP_TO_FIZZY_COLORS)
  * @returns {string} Fizzy CSS color variable
  */
-export function mapBasecampColorToFizzy(basecampColor) {
+export function mapBasecampColorToFizzy(basecampColor, palette = BASECAMP_TO_FIZZY_COLORS) {
   if (!basecampColor) {
-    return BASECAMP_TO_FIZZY_COLORS.default;
+    return palette.default;
   }
   
   const color = basecampColor.toLowerCase();
-  return BASECAMP_TO_FIZZY_COLORS[color] || BASECAMP_TO_FIZZY_COLORS.default;
+  return palette[color] || palette.default;
+}
+
+/**
+ * Check whether a palette has an entry for a Basecamp color
+ * Colors that aren't in the palette fall back to its default.
+ * @param {string} basecampColor - Basecamp color name
+ * @param {Object} [palette] - Palette from buildColorPalette
+ * @returns {boolean} True when the color is known or there is no color
+ */
+export function isKnownColor(basecampColor, palette = BASECAMP_TO_FIZZY_COLORS) {
+  return !basecampColor || Object.hasOwn(palette, basecampColor.toLowerCase());
 }
 
 /**
@@ -87,52 +132,150 @@ export function getColumnAction(columnType, columnId = null) {
   }
 }
 
+/**
+ * Determine the action for cards in a column's "On hold" section
+ * @param {Object} columnAction - Action of the column the section belongs to
+ * @param {string} onHoldAction - One of ON_HOLD_ACTIONS
+ * @param {string} onHoldColumnId - Fizzy column for ON_HOLD_ACTIONS.COLUMN
+ * @returns {Object} Action object with type, target and on_hold (plus tag for ON_HOLD_ACTIONS.TAG)
+ */
+export function getOnHoldAction(columnAction, onHoldAction, onHoldColumnId = null) {
+  switch (onHoldAction) {
+    case ON_HOLD_ACTIONS.COLUMN:
+      return { ...getColumnAction(BASECAMP_COLUMN_TYPES.REGULAR, onHoldColumnId), on_hold: true };
+
+    case ON_HOLD_ACTIONS.NOT_NOW:
+      return { ...getColumnAction(BASECAMP_COLUMN_TYPES.NOT_NOW), on_hold: true };
+
+    case ON_HOLD_ACTIONS.KEEP:
+      return { ...columnAction, on_hold: true };
+
+    case ON_HOLD_ACTIONS.TAG:
+    default:
+      return { ...columnAction, on_hold: true, tag: ON_HOLD_TAG };
+  }
+}
+
+/**
+ * List the card sections of a Basecamp column
+ * A column with an "On hold" section has its own card list for it, which is
+ * migrated as a section of its own.
+ * @param {Object} column - Basecamp column object
+ * @returns {Array} Sections with id, title, column_id and on_hold
+ */
+export function getColumnSections(column) {
+  const sections = [{ id: column.id, title: column.title, column_id: column.id, on_hold: false }];
+
+  if (column.on_hold?.id) {
+    sections.push({
+      id: column.on_hold.id,
+      title: `${column.title} (On hold)`,
+      column_id: column.id,
+      on_hold: true
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Get the cards that belong to a section from its card list
+ * On-hold cards get the section as their parent, so they're mapped with the
+ * on-hold action instead of their column's. On-hold cards that also show up
+ * in the column's own list are left to the on-hold section.
+ * @param {Array} cards - Cards listed for the section
+ * @param {Object} section - Section from getColumnSections
+ * @param {Object} column - Basecamp column the section belongs to
+ * @returns {Array} Cards of the section
+ */
+export function getSectionCards(cards, section, column) {
+  if (!section.on_hold) {
+    const onHoldId = column.on_hold?.id;
+    return onHoldId ? cards.filter(card => card.parent?.id !== onHoldId) : cards;
+  }
+
+  return cards.map(card => (card.parent?.id === section.id
+    ? card
+    : { ...card, parent: { ...card.parent, id: section.id, title: section.title } }));
+}
+
+/**
+ * Names that mark a Basecamp column as a special type when it has no explicit type
+ */
+export const SPECIAL_COLUMN_NAMES = {
+  [BASECAMP_COLUMN_TYPES.TRIAGE]: ['triage', 'maybe', 'inbox'],
+  [BASECAMP_COLUMN_TYPES.NOT_NOW]: ['not now', 'later', 'someday'],
+  [BASECAMP_COLUMN_TYPES.DONE]: ['done', 'complete', 'completed', 'finished', 'closed', 'shipped']
+};
+
 /**
  * Detect if a column is a special type based on its name and type
  * @param {Object} column - Basecamp column object
  * @returns {string} Column type
  */
 export function detectColumnType(column) {
+  return classifyColumn(column).type;
+}
+
+/**
+ * Classify a column and report how sure the classification is
+ * The explicit Basecamp type always wins. Otherwise the whole name has to
+ * match a special name (e.g. "✅ Done"); a name that only contains one
+ * (e.g. "Completed QA review") stays a regular column and is flagged.
+ * @param {Object} column - Basecamp column object
+ * @returns {Object} Object with type, confidence (0-1) and ambiguous
+ *   ({ type, name } of the special type it resembles, or null)
+ */
+export function classifyColumn(column) {
   if (!column) {
-    return BASECAMP_COLUMN_TYPES.REGULAR;
+    return { type: BASECAMP_COLUMN_TYPES.REGULAR, confidence: 1, ambiguous: null };
   }
 
   // Check explicit type first
   if (column.type) {
-    return column.type;
+    return { type: column.type, confidence: 1, ambiguous: null };
   }
 
   // Fallback: detect by name
-  const name = (column.title || column.name || '').toLowerCase();
-  
-  if (name.includes('triage') || name.includes('maybe')) {
-    return BASECAMP_COLUMN_TYPES.TRIAGE;
+  const name = column.title || column.name || '';
+  let best = null;
+
+  for (const [type, specialNames] of Object.entries(SPECIAL_COLUMN_NAMES)) {
+    for (const specialName of specialNames) {
+      const score = scoreColumnMatch(name, specialName, []);
+      if (!best || score > best.score) {
+        best = { type, score };
+      }
+    }
   }
-  
-  if (name.includes('not now') || name.includes('later')) {
-    return BASECAMP_COLUMN_TYPES.NOT_NOW;
+
+  if (best.score >= MATCH_CONFIDENCE.AUTO) {
+    return { type: best.type, confidence: best.score, ambiguous: null };
   }
-  
-  if (name.includes('done') || name.includes('completed')) {
-    return BASECAMP_COLUMN_TYPES.DONE;
+
+  // A special name inside a longer name is only a hint
+  const words = ` ${normalizeColumnName(name)} `;
+  for (const [type, specialNames] of Object.entries(SPECIAL_COLUMN_NAMES)) {
+    const found = specialNames.find(specialName => words.includes(` ${normalizeColumnName(specialName)} `));
+    if (found) {
+      return { type: BASECAMP_COLUMN_TYPES.REGULAR, confidence: 0.5, ambiguous: { type, name: found } };
+    }
   }
 
-  return BASECAMP_COLUMN_TYPES.REGULAR;
+  return { type: BASECAMP_COLUMN_TYPES.REGULAR, confidence: 1, ambiguous: null };
 }
 
 /**
  * Check if a Fizzy column matches a Basecamp column by name
  * @param {string} basecampColumnName - Basecamp column name
  * @param {string} fizzyColumnTitle - Fizzy column title
- * @returns {boolean} True if names match (case-insensitive, trimmed)
+ * @returns {boolean} True if names match, ignoring case, emoji, punctuation and plurals
  */
 export function columnsMatch(basecampColumnName, fizzyColumnTitle) {
   if (!basecampColumnName || !fizzyColumnTitle) {
     return false;
   }
 
-  const bcName = basecampColumnName.toLowerCase().trim();
-  const fzName = fizzyColumnTitle.toLowerCase().trim();
-
-  return bcName === fzName;
+  const bcName = normalizeColumnName(basecampColumnName);
+  return bcName !== '' && bcName === normalizeColumnName(fizzyColumnTitle);
 }
@@ -0,0 +1,196 @@
+/**
+ * Tag Mapper
+ * Works out which Fizzy tags a migrated card gets from the configured tag rules
+ *
+ * Tag rules come from `tag_rules` in config.json and the `tags` section of a
+ * plan file:
+ * - migrated:        tag every card, e.g. "migrated-from-basecamp" (true uses that name)
+ * - project:         tag every card with the Basecamp project name
+ * - original_column: tag cards that went to "Maybe?" or were closed with their Basecamp column
+ * - rules:           tag cards whose title contains a keyword or matches a pattern
+ */
+
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Tag used for `migrated: true`
+ */
+export const DEFAULT_MIGRATED_TAG = 'migrated-from-basecamp';
+
+/**
+ * Fields of a tag rules object
+ */
+export const TAG_RULE_FIELDS = ['migrated', 'project', 'original_column', 'rules'];
+
+// Column actions that lose the Basecamp column the card was in
+const COLUMNLESS_ACTIONS = ['keep_triage', 'close'];
+
+/**
+ * Validate tag rules and normalize them
+ * Only fields that are set are returned, so rules from several sources can
+ * be merged with mergeTagRules.
+ * @param {Object} raw - Tag rules (snake_case, as in config.json or a plan)
+ * @param {string} [path] - Where the rules come from, for error messages
+ * @returns {Object} Tag rules
+ * @throws {ValidationError} When a field is unknown or has the wrong type
+ */
+export function readTagRules(raw, path = 'tag_rules') {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError(`${path} must be a mapping`, path);
+  }
+
+  const rules = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    const field = `${path}.${key}`;
+
+    switch (key) {
+      case 'migrated':
+        if (value === true) {
+          rules.migrated = DEFAULT_MIGRATED_TAG;
+        } else if (value === false || value === null) {
+          rules.migrated = null;
+        } else if (typeof value === 'string' && value.trim()) {
+          rules.migrated = value.trim();
+        } else {
+          throw new ValidationError(`${field} must be true, false or a tag name`, field);
+        }
+        break;
+
+      case 'project':
+      case 'original_column':
+        if (typeof value !== 'boolean') {
+          throw new ValidationError(`${field} must be true or false`, field);
+        }
+        rules[key] = value;
+        break;
+
+      case 'rules':
+        if (!Array.isArray(value)) {
+          throw new ValidationError(`${field} must be a list of { keyword | pattern, tag } rules`, field);
+        }
+        rules.rules = value.map((rule, index) => readTitleRule(rule, `${field}[${index}]`));
+        break;
+
+      default:
+        throw new ValidationError(`Unknown field ${field} (expected one of: ${TAG_RULE_FIELDS.join(', ')})`, field);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Merge tag rules, later sources winning field by field
+ * @param {...Object} sources - Tag rules from readTagRules
+ * @returns {Object} Tag rules
+ */
+export function mergeTagRules(...sources) {
+  return Object.assign({}, ...sources.filter(Boolean));
+}
+
+/**
+ * Work out the tags for a card
+ * @param {Object} basecampCard - Basecamp card
+ * @param {Object} metadata - Metadata from mapCard (column action, parent column)
+ * @param {Object} tagRules - Tag rules from readTagRules
+ * @param {Object} context - Context
+ * @param {string} context.projectName - Basecamp project name
+ * @returns {Array<string>} Tag titles, normalized and without duplicates
+ */
+export function buildCardTags(basecampCard, metadata, tagRules = {}, context = {}) {
+  const tags = [];
+
+  if (tagRules.migrated) {
+    tags.push(tagRules.migrated);
+  }
+
+  if (tagRules.project && context.projectName) {
+    tags.push(context.projectName);
+  }
+
+  // Keep the column context that "Maybe?" and closing lose
+  const action = metadata.column_action;
+  const columnless = metadata.completed || COLUMNLESS_ACTIONS.includes(action?.type);
+  if (tagRules.original_column && columnless && metadata.basecamp_parent_title) {
+    tags.push(metadata.basecamp_parent_title);
+  }
+
+  const title = basecampCard.title || '';
+  for (const rule of tagRules.rules || []) {
+    if (matchesTitleRule(rule, title)) {
+      tags.push(rule.tag);
+    }
+  }
+
+  // On-hold cards (see ON_HOLD_ACTIONS)
+  if (action?.tag) {
+    tags.push(action.tag);
+  }
+
+  return [...new Set(tags.map(normalizeTagTitle).filter(Boolean))];
+}
+
+/**
+ * Normalize a tag title the way Fizzy shows it
+ * Lower-cases, drops a leading "#" and joins words with dashes,
+ * so "In Review" becomes "in-review".
+ * @param {string} title - Tag title
+ * @returns {string} Normalized title
+ */
+export function normalizeTagTitle(title) {
+  return (title || '')
+    .toString()
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Validate a keyword or pattern rule
+ */
+function readTitleRule(rule, path) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new ValidationError(`${path} must be a mapping with keyword or pattern, and tag`, path);
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!['keyword', 'pattern', 'flags', 'tag'].includes(key)) {
+      throw new ValidationError(`Unknown field ${path}.${key} (expected one of: keyword, pattern, flags, tag)`, `${path}.${key}`);
+    }
+  }
+
+  if (typeof rule.tag !== 'string' || !rule.tag.trim()) {
+    throw new ValidationError(`${path}.tag must be a tag name`, `${path}.tag`);
+  }
+
+  const hasKeyword = typeof rule.keyword === 'string' && rule.keyword.trim() !== '';
+  const hasPattern = typeof rule.pattern === 'string' && rule.pattern !== '';
+  if (hasKeyword === hasPattern) {
+    throw new ValidationError(`${path} needs either keyword or pattern`, path);
+  }
+
+  if (hasKeyword) {
+    return { keyword: rule.keyword.trim(), tag: rule.tag.trim() };
+  }
+
+  try {
+    new RegExp(rule.pattern, rule.flags || '');
+  } catch (error) {
+    throw new ValidationError(`${path}.pattern is not a valid regular expression: ${error.message}`, `${path}.pattern`);
+  }
+
+  return { pattern: rule.pattern, flags: rule.flags || '', tag: rule.tag.trim() };
+}
+
+/**
+ * Check a card title against a keyword (case-insensitive) or pattern rule
+ */
+function matchesTitleRule(rule, title) {
+  if (rule.keyword) {
+    return title.toLowerCase().includes(rule.keyword.toLowerCase());
+  }
+  return new RegExp(rule.pattern, rule.flags).test(title);
+}
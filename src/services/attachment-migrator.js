@@ -0,0 +1,206 @@
+/**
+ * Attachment Migrator Service
+ * Copies Basecamp attachments and inline images into Fizzy and rewrites the HTML
+ */
+
+import * as cheerio from 'cheerio';
+import { addWarning } from '../state/migration-state.js';
+import { BASECAMP_BLOB_HOST } from '../clients/basecamp-client.js';
+
+// bc-attachment content types that are not files (mentions, embeds, ...)
+const NON_FILE_CONTENT_TYPE = /^application\/vnd\.basecamp\./i;
+
+// Uploads in progress, keyed by account and source URL, so parallel workers
+// that hit the same file share one upload
+const pendingUploads = new Map();
+
+/**
+ * Migrate all attachments and inline images in a piece of Basecamp HTML
+ * Each file is downloaded from Basecamp, uploaded to Fizzy and the element is
+ * rewritten to point at the uploaded copy. Uploads are cached in the migration
+ * state, so the same file is only uploaded once. Failures are recorded as
+ * migration warnings and the element falls back to a link to the original.
+ * @param {string} html - Basecamp HTML content
+ * @param {Object} context - Migration context
+ * @param {Object} context.basecampClient - Basecamp client
+ * @param {Object} context.fizzyClient - Fizzy client
+ * @param {string} context.accountSlug - Fizzy account slug
+ * @param {Object} context.migration - Migration state
+ * @param {string|number} context.cardId - Basecamp card ID (for warnings)
+ * @returns {Promise<string>} HTML with attachments rewritten
+ */
+export async function transferAttachments(html, context) {
+  if (!html || typeof html !== 'string' || !containsAttachments(html)) {
+    return html;
+  }
+
+  const $ = cheerio.load(html, null, false);
+
+  // <bc-attachment> elements (uploaded files and pasted images)
+  for (const element of $('bc-attachment').toArray()) {
+    const $attachment = $(element);
+    const contentType = $attachment.attr('content-type') || '';
+
+    if (NON_FILE_CONTENT_TYPE.test(contentType)) {
+      continue;
+    }
+
+    // Files hosted elsewhere are left for the HTML converter to turn into links
+    const sourceUrl = $attachment.attr('href') || $attachment.attr('url');
+    if (!sourceUrl || !BASECAMP_BLOB_HOST.test(sourceUrl)) {
+      continue;
+    }
+
+    const filename = $attachment.attr('filename') || filenameFromUrl(sourceUrl);
+    const caption = $attachment.attr('caption');
+
+    try {
+      const upload = await uploadOnce(sourceUrl, filename, context);
+      $attachment.replaceWith(buildFizzyAttachment($, upload, {
+        contentType,
+        filename,
+        caption,
+        width: $attachment.attr('width'),
+        height: $attachment.attr('height'),
+        filesize: $attachment.attr('filesize')
+      }));
+    } catch (error) {
+      recordFailure(context, filename, sourceUrl, error);
+      $attachment.replaceWith($('<a>').attr('href', sourceUrl).text(caption || filename));
+    }
+  }
+
+  // Inline images hosted on Basecamp
+  for (const element of $('img').toArray()) {
+    const $image = $(element);
+    const sourceUrl = $image.attr('src');
+
+    if (!sourceUrl || !BASECAMP_BLOB_HOST.test(sourceUrl)) {
+      continue;
+    }
+
+    // Avatars inside mentions are not content
+    if ($image.closest('bc-attachment').length > 0) {
+      continue;
+    }
+
+    const filename = filenameFromUrl(sourceUrl);
+
+    try {
+      const upload = await uploadOnce(sourceUrl, filename, context);
+      $image.attr('src', upload.url);
+      $image.removeAttr('srcset');
+    } catch (error) {
+      recordFailure(context, filename, sourceUrl, error);
+    }
+  }
+
+  return $.html();
+}
+
+/**
+ * Quick check whether HTML contains anything worth parsing
+ * @param {string} html - HTML content
+ * @returns {boolean} True if the HTML may contain attachments
+ */
+function containsAttachments(html) {
+  return html.includes('<bc-attachment') || html.includes('<img');
+}
+
+/**
+ * Upload a Basecamp file to Fizzy, reusing earlier uploads of the same URL
+ * @param {string} sourceUrl - Basecamp download URL
+ * @param {string} filename - File name
+ * @param {Object} context - Migration context
+ * @returns {Promise<Object>} Upload info with attachable_sgid and url
+ */
+async function uploadOnce(sourceUrl, filename, context) {
+  const { basecampClient, fizzyClient, accountSlug, migration } = context;
+
+  if (!migration.attachments) {
+    migration.attachments = {};
+  }
+
+  if (migration.attachments[sourceUrl]) {
+    return migration.attachments[sourceUrl];
+  }
+
+  const key = `${accountSlug}|${sourceUrl}`;
+  if (!pendingUploads.has(key)) {
+    pendingUploads.set(key, (async () => {
+      const file = await basecampClient.downloadAttachment(sourceUrl);
+      const upload = await fizzyClient.uploadAttachment(accountSlug, {
+        data: file.data,
+        filename: filename,
+        contentType: file.contentType
+      });
+
+      migration.attachments[sourceUrl] = {
+        filename: filename,
+        content_type: file.contentType,
+        attachable_sgid: upload.attachable_sgid,
+        url: upload.url
+      };
+      migration.metadata.attachments_migrated = (migration.metadata.attachments_migrated || 0) + 1;
+
+      return migration.attachments[sourceUrl];
+    })().finally(() => pendingUploads.delete(key)));
+  }
+
+  return pendingUploads.get(key);
+}
+
+/**
+ * Build the Fizzy element that replaces a Basecamp attachment
+ * Uses an Action Text attachment when Fizzy returned an attachable SGID,
+ * otherwise an image or a link to the uploaded file.
+ */
+function buildFizzyAttachment($, upload, attributes) {
+  const { contentType, filename, caption, width, height, filesize } = attributes;
+
+  if (upload.attachable_sgid) {
+    const $element = $('<action-text-attachment></action-text-attachment>')
+      .attr('sgid', upload.attachable_sgid)
+      .attr('content-type', contentType || upload.content_type)
+      .attr('filename', filename)
+      .attr('url', upload.url);
+
+    if (caption) $element.attr('caption', caption);
+    if (filesize) $element.attr('filesize', filesize);
+    if (width) $element.attr('width', width);
+    if (height) $element.attr('height', height);
+
+    return $element;
+  }
+
+  if ((contentType || upload.content_type || '').startsWith('image/')) {
+    return $('<img>').attr('src', upload.url).attr('alt', caption || filename);
+  }
+
+  return $('<a>').attr('href', upload.url).text(caption || filename);
+}
+
+/**
+ * Record a failed attachment as a migration warning
+ */
+function recordFailure(context, filename, sourceUrl, error) {
+  addWarning(context.migration, `Failed to migrate attachment ${filename}`, {
+    card_id: context.cardId,
+    url: sourceUrl,
+    error: error.message
+  });
+}
+
+/**
+ * Derive a file name from a URL
+ * @param {string} url - File URL
+ * @returns {string} File name
+ */
+function filenameFromUrl(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return decodeURIComponent(segments[segments.length - 1] || 'attachment');
+  } catch {
+    return 'attachment';
+  }
+}
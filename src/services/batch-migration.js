@@ -0,0 +1,413 @@
+/**
+ * Batch Migration Service
+ * Migrates several card tables one after the other, with a single shared
+ * user mapping pass and one migration state per card table
+ */
+
+import { readFile } from 'fs/promises';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import inquirer from 'inquirer';
+import * as logger from '../utils/logger.js';
+import { runMigration } from './migration.js';
+import { mapUsers, applyUserOverrides } from './user-mapper.js';
+import { ValidationError } from '../utils/errors.js';
+import { normalizeAccountSlug } from '../utils/validators.js';
+import {
+  DUE_DATE_MODES,
+  STEP_ASSIGNEE_STRATEGIES,
+  PROVENANCE_MODES,
+  PROVENANCE_POSITIONS
+} from '../mappers/card-mapper.js';
+import { ON_HOLD_ACTIONS } from '../mappers/status-mapper.js';
+
+/**
+ * Board name used when a batch entry creates a board without naming it
+ */
+export const DEFAULT_BOARD_NAME_TEMPLATE = '{project} - {cardtable}';
+
+// Manifest keys (snake_case) -> runMigration options, with their type or allowed values
+const MANIFEST_OPTIONS = {
+  migrate_comments: { option: 'migrateComments', type: 'boolean' },
+  attachments: { option: 'migrateAttachments', type: 'boolean' },
+  update_existing: { option: 'updateExisting', type: 'boolean' },
+  batch_size: { option: 'batchSize', type: 'integer' },
+  due_dates: { option: 'dueDates', values: DUE_DATE_MODES },
+  step_assignees: { option: 'stepAssignees', values: STEP_ASSIGNEE_STRATEGIES },
+  provenance: { option: 'provenance', values: PROVENANCE_MODES },
+  provenance_position: { option: 'provenancePosition', values: PROVENANCE_POSITIONS },
+  identity_tag: { option: 'identityTag', type: 'boolean' },
+  column_order: { option: 'columnOrder', type: 'boolean' },
+  recolor_columns: { option: 'recolorColumns', type: 'boolean' },
+  on_hold: { option: 'onHold', values: ON_HOLD_ACTIONS }
+};
+
+/**
+ * Read and validate a batch manifest
+ * The manifest is JSON with optional `defaults` and a `migrations` array.
+ * Each entry names a Basecamp `project`, optionally a `cardtable` (all card
+ * tables of the project when omitted), a Fizzy `account` and either a
+ * `board` or `create_board` (true, or a board name template). Defaults are
+ * merged into every entry.
+ * @param {string} file - Path to the manifest
+ * @returns {Promise<Array>} Entries with defaults applied
+ * @throws {ValidationError} When the manifest is malformed
+ */
+export async function loadBatchManifest(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    throw new ValidationError(`Manifest is not valid JSON: ${error.message}`, 'manifest');
+  }
+
+  if (!Array.isArray(manifest?.migrations) || manifest.migrations.length === 0) {
+    throw new ValidationError('Manifest needs a non-empty "migrations" array', 'migrations');
+  }
+
+  const defaults = manifest.defaults || {};
+
+  return manifest.migrations.map((entry, index) => {
+    const merged = { ...defaults, ...entry };
+    const where = `migrations[${index}]`;
+
+    if (!merged.project) {
+      throw new ValidationError(`${where}: "project" is required`, `${where}.project`);
+    }
+    if (!merged.account) {
+      throw new ValidationError(`${where}: "account" is required`, `${where}.account`);
+    }
+    if (!merged.board && !merged.create_board) {
+      throw new ValidationError(`${where}: either "board" or "create_board" is required`, `${where}.board`);
+    }
+
+    for (const [key, { type, values }] of Object.entries(MANIFEST_OPTIONS)) {
+      const value = merged[key];
+      if (value === undefined) continue;
+
+      // "false" in quotes would otherwise count as true
+      if (type === 'boolean' && typeof value !== 'boolean') {
+        throw new ValidationError(`${where}: "${key}" must be true or false (without quotes)`, `${where}.${key}`);
+      }
+      if (type === 'integer' && (!Number.isInteger(value) || value < 1)) {
+        throw new ValidationError(`${where}: "${key}" must be a positive whole number`, `${where}.${key}`);
+      }
+      if (values && !Object.values(values).includes(value)) {
+        throw new ValidationError(
+          `${where}: "${key}" must be one of: ${Object.values(values).join(', ')}`,
+          `${where}.${key}`
+        );
+      }
+    }
+
+    return merged;
+  });
+}
+
+/**
+ * Turn manifest entries (or --all-cardtables) into one job per card table
+ * Entries without a card table are expanded to every card table of the
+ * project, using the same listing as `bf list cardtables`.
+ * @param {Object} basecampClient - Basecamp client
+ * @param {Array} entries - Entries from loadBatchManifest (snake_case keys)
+ * @param {Object} [baseOptions] - runMigration options that entries can override
+ * @returns {Promise<Array>} Jobs with source, target and options
+ * @throws {ValidationError} When a board name template would give several card tables the same board
+ */
+export async function resolveBatchJobs(basecampClient, entries, baseOptions = {}) {
+  const projects = new Map();
+  const jobs = [];
+
+  for (const entry of entries) {
+    const projectId = entry.project.toString();
+
+    if (!projects.has(projectId)) {
+      const project = await basecampClient.getProject(projectId);
+      const cardTables = await basecampClient.getCardTables(projectId);
+      projects.set(projectId, { name: project.name, cardTables });
+    }
+
+    const project = projects.get(projectId);
+    const cardTables = entry.cardtable
+      ? [project.cardTables.find(ct => ct.id.toString() === entry.cardtable.toString()) || { id: entry.cardtable, title: null }]
+      : project.cardTables;
+
+    if (cardTables.length === 0) {
+      logger.warn(`⚠ No card tables found in project ${project.name} (${projectId})`);
+      continue;
+    }
+
+    const template = getBoardNameTemplate(entry);
+    if (template && cardTables.length > 1 && !template.includes('{cardtable}')) {
+      throw new ValidationError(
+        `Board name "${template}" would be used for ${cardTables.length} card tables of ${project.name}; include {cardtable}`,
+        'create_board'
+      );
+    }
+
+    for (const cardTable of cardTables) {
+      const source = {
+        projectId,
+        projectName: project.name,
+        cardTableId: cardTable.id.toString(),
+        cardTableName: cardTable.title || cardTable.id.toString()
+      };
+
+      jobs.push({
+        source,
+        target: {
+          accountSlug: normalizeAccountSlug(entry.account.toString()),
+          boardId: template ? null : entry.board.toString(),
+          createBoard: template ? expandBoardName(template, source) : null
+        },
+        options: { ...baseOptions, ...getManifestOptions(entry) }
+      });
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Fill in a board name template
+ * Supports {project}, {project_id}, {cardtable} and {cardtable_id}.
+ * @param {string} template - Board name template
+ * @param {Object} source - Job source
+ * @returns {string} Board name
+ */
+export function expandBoardName(template, source) {
+  const values = {
+    project: source.projectName,
+    project_id: source.projectId,
+    cardtable: source.cardTableName,
+    cardtable_id: source.cardTableId
+  };
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+/**
+ * Map the people of every project in the batch once per Fizzy account
+ * @param {Object} clients - API clients
+ * @param {Array} jobs - Jobs from resolveBatchJobs
+ * @param {Object} existingMappings - Mappings to start from (e.g. config.mappings.users)
+ * @param {Object} options - Options
+ * @param {boolean} options.interactive - If false, only auto-match
+ * @param {Object} [options.userOverrides] - Fixed user mappings by Basecamp ID/email (plan file)
+ * @returns {Promise<Object>} Map of account slug -> user mappings
+ */
+export async function mapBatchUsers(clients, jobs, existingMappings = {}, options = {}) {
+  const { basecampClient, fizzyClient } = clients;
+  const { interactive = true, userOverrides = {} } = options;
+  const mappingsByAccount = {};
+
+  const projectsByAccount = new Map();
+  for (const job of jobs) {
+    const projects = projectsByAccount.get(job.target.accountSlug) || new Set();
+    projects.add(job.source.projectId);
+    projectsByAccount.set(job.target.accountSlug, projects);
+  }
+
+  for (const [accountSlug, projectIds] of projectsByAccount) {
+    const people = new Map();
+    for (const projectId of projectIds) {
+      for (const person of await basecampClient.getPeople(projectId)) {
+        people.set(person.id.toString(), person);
+      }
+    }
+    logger.success(`✓ Found ${people.size} Basecamp users in ${projectIds.size} projects`);
+
+    const fizzyUsers = await fizzyClient.getUsers(accountSlug);
+    logger.success(`✓ Found ${fizzyUsers.length} Fizzy users in ${accountSlug}`);
+
+    // Fixed mappings from a plan file go first; skipped people aren't asked about
+    const overrides = applyUserOverrides([...people.values()], fizzyUsers, userOverrides);
+    for (const key of overrides.unresolved) {
+      logger.warn(`⚠ User override ${key} did not match a Basecamp and a Fizzy user in ${accountSlug}`);
+    }
+
+    const result = await mapUsers(
+      [...people.values()].filter(person => !overrides.skipped.includes(person.id.toString())),
+      fizzyUsers,
+      { ...existingMappings, ...overrides.mappings },
+      { interactive, skipUnmatched: false }
+    );
+    mappingsByAccount[accountSlug] = result.mappings;
+  }
+
+  return mappingsByAccount;
+}
+
+/**
+ * Run batch jobs one after the other
+ * People are mapped once for the whole batch (per Fizzy account) before the
+ * first job starts. A failing job is recorded and the batch moves on to the
+ * next one.
+ * @param {Object} clients - API clients
+ * @param {Object} clients.basecampClient - Basecamp client
+ * @param {Object} clients.fizzyClient - Fizzy client
+ * @param {Array} jobs - Jobs from resolveBatchJobs
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only auto-match users
+ * @param {boolean} options.skipUserMapping - Skip the shared user mapping pass
+ * @param {Object} options.existingMappings - Mappings to start from
+ * @param {Object} [options.userOverrides] - Fixed user mappings by Basecamp ID/email (plan file)
+ * @returns {Promise<Array>} One result per job with job, migration and error
+ */
+export async function runBatchMigration(clients, jobs, options = {}) {
+  const { dryRun = false, skipUserMapping = false, existingMappings = {}, userOverrides = {} } = options;
+  const { fizzyClient } = clients;
+  const results = [];
+
+  let mappingsByAccount = null;
+  if (!skipUserMapping) {
+    logger.info('\n━━━ Shared User Mapping ━━━\n');
+    mappingsByAccount = await mapBatchUsers(clients, jobs, existingMappings, { interactive: !dryRun, userOverrides });
+  }
+
+  for (const [index, job] of jobs.entries()) {
+    logger.header(`📦 ${index + 1}/${jobs.length}: ${job.source.projectName} / ${job.source.cardTableName}`);
+    const result = { job, migration: null, error: null };
+
+    try {
+      const target = { accountSlug: job.target.accountSlug, boardId: job.target.boardId };
+
+      if (job.target.createBoard) {
+        logger.info(`Creating new Fizzy board: ${job.target.createBoard}...`);
+        const board = await fizzyClient.createBoard(target.accountSlug, { name: job.target.createBoard });
+        target.boardId = board.id;
+        job.target.boardId = board.id;
+        logger.success(`✓ Board created: ${board.name} (${board.id})\n`);
+      }
+
+      result.migration = await runMigration(clients, job.source, target, {
+        ...job.options,
+        dryRun,
+        skipUserMapping,
+        createdBoard: !!job.target.createBoard,
+        userMappings: mappingsByAccount?.[target.accountSlug] || null
+      });
+    } catch (error) {
+      result.error = error;
+      logger.error(`✗ ${job.source.cardTableName} failed`, error);
+    }
+
+    results.push(result);
+  }
+
+  logger.header('📦 Batch Summary');
+  logger.info(formatBatchSummary(results));
+
+  return results;
+}
+
+/**
+ * Build the aggregated summary of a batch
+ * @param {Array} results - Results from runBatchMigration
+ * @returns {string} Table and totals
+ */
+export function formatBatchSummary(results) {
+  const table = new Table({
+    head: ['Card Table', 'Board', 'Migration', 'Status', 'Cards', 'Failed'].map(title => chalk.cyan(title)),
+    colWidths: [30, 24, 30, 11, 9, 8],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+
+  const totals = { cards: 0, successful: 0, failed: 0 };
+  const statuses = { completed: 0, partial: 0, failed: 0 };
+
+  for (const { job, migration, error } of results) {
+    const status = getBatchStatus(migration, error);
+    const statusColor = status === 'completed' ? chalk.green : status === 'partial' ? chalk.yellow : chalk.red;
+
+    statuses[status] = (statuses[status] || 0) + 1;
+
+    if (migration) {
+      totals.cards += migration.progress.total_cards;
+      totals.successful += migration.progress.successful_cards;
+      totals.failed += migration.progress.failed_cards;
+    }
+
+    table.push([
+      `${job.source.projectName} / ${job.source.cardTableName}`,
+      migration?.target.board_name || job.target.createBoard || job.target.boardId || '',
+      migration?.migration_id || '',
+      statusColor(status),
+      migration ? `${migration.progress.successful_cards}/${migration.progress.total_cards}` : '',
+      migration ? migration.progress.failed_cards.toString() : error?.message || ''
+    ]);
+  }
+
+  let summary = `${table.toString()}\n\n`;
+  summary += `Card Tables: ${results.length} (${statuses.completed} completed, ${statuses.partial} partial, ${statuses.failed} failed)\n`;
+  summary += `Cards: ${totals.successful}/${totals.cards} migrated, ${totals.failed} failed\n`;
+
+  return summary;
+}
+
+/**
+ * Get the status of one batch job
+ * @param {Object|null} migration - Migration state
+ * @param {Error|null} error - Error that stopped the job
+ * @returns {string} 'completed', 'partial' or 'failed'
+ */
+export function getBatchStatus(migration, error) {
+  if (error || !migration) return 'failed';
+  return migration.status;
+}
+
+/**
+ * List the jobs and ask before running them
+ * @param {Array} jobs - Jobs from resolveBatchJobs
+ * @returns {Promise<boolean>} True if confirmed
+ */
+export async function confirmBatch(jobs) {
+  logger.warn(`\n⚠️  You are about to migrate ${jobs.length} card tables`);
+
+  for (const job of jobs) {
+    const board = job.target.createBoard ? `new board "${job.target.createBoard}"` : `board ${job.target.boardId}`;
+    logger.info(`   ${job.source.projectName} / ${job.source.cardTableName} → ${board} (${job.target.accountSlug})`);
+  }
+
+  console.log('');
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Do you want to continue?',
+      default: false
+    }
+  ]);
+
+  return answer.confirm;
+}
+
+/**
+ * Get the board name template of an entry, or null when it uses an existing board
+ */
+function getBoardNameTemplate(entry) {
+  if (!entry.create_board) return null;
+  if (typeof entry.create_board === 'string') return entry.create_board;
+  return entry.board_name || DEFAULT_BOARD_NAME_TEMPLATE;
+}
+
+/**
+ * Read the runMigration options set on a manifest entry
+ */
+function getManifestOptions(entry) {
+  const options = {};
+
+  for (const [key, { option }] of Object.entries(MANIFEST_OPTIONS)) {
+    if (entry[key] !== undefined) {
+      options[option] = entry[key];
+    }
+  }
+
+  return options;
+}
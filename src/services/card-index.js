@@ -0,0 +1,223 @@
+/**
+ * Card Index Service
+ * Finds previously migrated cards on a Fizzy board
+ *
+ * Every card on the board is read (open, closed and not-now) and identified
+ * (see identifyCard) in an index kept in the migration state. Later scans are
+ * incremental: cards are listed by latest activity and paging stops once a
+ * whole page hasn't changed since the previous scan. A scan that reads every
+ * page drops the cards it no longer sees (deleted in Fizzy).
+ */
+
+import * as logger from '../utils/logger.js';
+import { extractBasecampId, extractHiddenBasecampId } from '../mappers/card-mapper.js';
+import { loadCardLedger, findLedgerEntry } from '../state/card-ledger.js';
+
+// Card listings to scan; the default listing leaves out closed and not-now cards
+const CARD_LISTINGS = ['all', 'closed', 'not_now'];
+
+/**
+ * Ways a migrated card can be identified, in the order they are tried
+ */
+export const IDENTITY_METHODS = {
+  HIDDEN: 'hidden',    // Hidden marker link in the description
+  VISIBLE: 'visible',  // Visible #basecamp-id-{id} text (older migrations)
+  TAG: 'tag',          // basecamp-{id} tag (--identity-tag)
+  LEDGER: 'ledger'     // Local card ledger
+};
+
+const IDENTITY_TAG = /^basecamp-(\d+)$/;
+
+/**
+ * Get the identity tag for a Basecamp card
+ * @param {string|number} basecampId - Basecamp card ID
+ * @returns {string} Tag title
+ */
+export function getIdentityTag(basecampId) {
+  return `basecamp-${basecampId}`;
+}
+
+/**
+ * Work out which Basecamp card a Fizzy card was migrated from
+ * @param {Object} card - Fizzy card
+ * @param {Object} cardLedger - Ledger from loadCardLedger
+ * @param {string} accountSlug - Fizzy account slug
+ * @returns {Object|null} Object with basecamp_id and method (see IDENTITY_METHODS)
+ */
+export function identifyCard(card, cardLedger, accountSlug) {
+  const description = card.description_html || card.description;
+
+  const hiddenId = extractHiddenBasecampId(description);
+  if (hiddenId) {
+    return { basecamp_id: hiddenId, method: IDENTITY_METHODS.HIDDEN };
+  }
+
+  const visibleId = extractBasecampId(description);
+  if (visibleId) {
+    return { basecamp_id: visibleId, method: IDENTITY_METHODS.VISIBLE };
+  }
+
+  for (const tag of card.tags || []) {
+    const match = (typeof tag === 'string' ? tag : tag.title || '').match(IDENTITY_TAG);
+    if (match) {
+      return { basecamp_id: match[1], method: IDENTITY_METHODS.TAG };
+    }
+  }
+
+  const entry = findLedgerEntry(cardLedger, accountSlug, card.id);
+  if (entry) {
+    return { basecamp_id: entry.basecamp_id, method: IDENTITY_METHODS.LEDGER };
+  }
+
+  return null;
+}
+
+/**
+ * Iterate over every card on a board, including closed and not-now cards
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {string} accountSlug - Fizzy account slug
+ * @param {string} boardId - Fizzy board ID
+ * @yields {Object} Fizzy card
+ */
+export async function* eachBoardCard(fizzyClient, accountSlug, boardId) {
+  const seen = new Set();
+
+  for (const listing of CARD_LISTINGS) {
+    for await (const page of fizzyClient.paginateCards(accountSlug, { board_ids: [boardId], indexed_by: listing })) {
+      for (const card of page) {
+        if (seen.has(card.number)) continue;
+        seen.add(card.number);
+        yield card;
+      }
+    }
+  }
+}
+
+/**
+ * Scan the target board for cards migrated from Basecamp
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state (its card_index is updated)
+ * @returns {Promise<Object>} Map of basecamp_id -> fizzy_card_number
+ *   (index.last_scan.complete tells whether every card was listed)
+ */
+export async function scanMigratedCards(fizzyClient, migration) {
+  const accountSlug = migration.target.account_slug;
+  const boardId = migration.target.board_id;
+  const index = getCardIndex(migration);
+  const cardLedger = await loadCardLedger();
+  const previousScan = index.scanned_at;
+  const startedAt = new Date().toISOString();
+  const stats = { pages: 0, cards: 0, incremental: !!previousScan, removed: 0 };
+  const seen = new Set();
+  let complete = true;
+
+  try {
+    for (const listing of CARD_LISTINGS) {
+      const pages = fizzyClient.paginateCards(accountSlug, {
+        board_ids: [boardId],
+        indexed_by: listing,
+        sorted_by: 'latest'
+      });
+
+      for await (const page of pages) {
+        stats.pages++;
+        stats.cards += page.length;
+
+        let changed = page.length === 0;
+        for (const card of page) {
+          const updatedAt = card.last_active_at || card.updated_at || null;
+          if (!previousScan || !updatedAt || !index.cards[card.number] ||
+              new Date(updatedAt) >= new Date(previousScan)) {
+            changed = true;
+          }
+
+          seen.add(card.number.toString());
+          const identity = identifyCard(card, cardLedger, accountSlug);
+          index.cards[card.number] = {
+            basecamp_id: identity?.basecamp_id || null,
+            method: identity?.method || null,
+            updated_at: updatedAt
+          };
+        }
+
+        // Older pages haven't changed either
+        if (previousScan && !changed) {
+          complete = false;
+          break;
+        }
+      }
+    }
+
+    // Every card on the board was listed, so anything else was deleted
+    if (complete) {
+      for (const number of Object.keys(index.cards)) {
+        if (!seen.has(number)) {
+          delete index.cards[number];
+          stats.removed++;
+        }
+      }
+    }
+
+    index.scanned_at = startedAt;
+  } catch (error) {
+    // Continue with what the index already knows
+    complete = false;
+    logger.warn(`⚠ Could not scan for existing cards: ${error.message}`);
+  }
+
+  index.last_scan = { ...stats, complete, scanned_at: startedAt };
+  logger.info(`  Scanned ${stats.pages} pages (${stats.cards} cards${stats.incremental ? ', incremental' : ''})`);
+  if (stats.removed > 0) {
+    logger.info(`  ${stats.removed} cards are no longer on the board`);
+  }
+
+  const visibleMarkers = Object.values(index.cards)
+    .filter(entry => entry.method === IDENTITY_METHODS.VISIBLE).length;
+  if (visibleMarkers > 0) {
+    logger.warn(`  ${visibleMarkers} cards still use the visible #basecamp-id marker (run: bf migrate-markers)`);
+  }
+
+  const existingCards = {};
+  for (const [number, entry] of Object.entries(index.cards)) {
+    if (entry.basecamp_id) {
+      existingCards[entry.basecamp_id] = Number(number);
+    }
+  }
+
+  return existingCards;
+}
+
+/**
+ * Forget an indexed card that no longer exists in Fizzy
+ * @param {Object} migration - Migration state
+ * @param {string} basecampId - Basecamp card ID
+ * @param {number} cardNumber - Fizzy card number
+ */
+export function forgetMigratedCard(migration, basecampId, cardNumber) {
+  delete migration.existing_cards[basecampId];
+  if (migration.card_index?.cards) {
+    delete migration.card_index.cards[cardNumber];
+  }
+}
+
+/**
+ * Get the card index for the migration's board
+ * A new migration starts with an empty index, so its first scan reads the
+ * whole board and never inherits cards deleted since another migration ran.
+ * @param {Object} migration - Migration state
+ * @returns {Object} Card index stored in the migration state
+ */
+function getCardIndex(migration) {
+  const boardId = migration.target.board_id;
+
+  if (migration.card_index?.board_id !== boardId) {
+    migration.card_index = {
+      board_id: boardId,
+      scanned_at: null,
+      cards: {},
+      last_scan: null
+    };
+  }
+
+  return migration.card_index;
+}
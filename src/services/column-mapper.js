@@ -4,16 +4,52 @@
  */
 
 import {
-  detectColumnType,
+  classifyColumn,
   getColumnAction,
+  getOnHoldAction,
   mapBasecampColorToFizzy,
+  isKnownColor,
+  BASECAMP_TO_FIZZY_COLORS,
   columnsMatch,
-  BASECAMP_COLUMN_TYPES
+  BASECAMP_COLUMN_TYPES,
+  ON_HOLD_ACTIONS
 } from '../mappers/status-mapper.js';
+import { findBestColumnMatch, buildSynonyms, MATCH_CONFIDENCE } from '../mappers/column-matcher.js';
+import inquirer from 'inquirer';
 import * as logger from '../utils/logger.js';
 
+/**
+ * What can happen to the cards of a Basecamp column
+ * Used for interactive choices, plan file overrides and saved presets.
+ */
+export const COLUMN_CHOICES = {
+  MAP: 'map',            // Move to an existing Fizzy column
+  CREATE: 'create',      // Create a Fizzy column (reused if one with the name exists)
+  NOT_NOW: 'not_now',    // Move to "Not Now"
+  CLOSE: 'close',        // Close the card
+  TRIAGE: 'triage'       // Stay in "Maybe?"
+};
+
+// Labels of the special column types, for notes
+const SPECIAL_COLUMN_LABELS = {
+  [BASECAMP_COLUMN_TYPES.TRIAGE]: 'Triage',
+  [BASECAMP_COLUMN_TYPES.NOT_NOW]: 'Not Now',
+  [BASECAMP_COLUMN_TYPES.DONE]: 'Done'
+};
+
+// Column type whose action each placement choice uses
+const CHOICE_COLUMN_TYPES = {
+  [COLUMN_CHOICES.NOT_NOW]: BASECAMP_COLUMN_TYPES.NOT_NOW,
+  [COLUMN_CHOICES.CLOSE]: BASECAMP_COLUMN_TYPES.DONE,
+  [COLUMN_CHOICES.TRIAGE]: BASECAMP_COLUMN_TYPES.TRIAGE
+};
+
 /**
  * Map Basecamp columns to Fizzy columns and create missing ones
+ * Each column gets a choice (see COLUMN_CHOICES): from the overrides, then
+ * the saved preset, then the prompt in interactive mode, and otherwise the
+ * automatic match by column type and (fuzzy) name. Actions carry the match
+ * confidence and notes about ambiguous matches for the summary.
  * @param {Array} basecampColumns - Array of Basecamp column objects
  * @param {Array} fizzyColumns - Array of existing Fizzy column objects
  * @param {Object} fizzyClient - Fizzy API client
@@ -21,89 +57,113 @@ import * as logger from '../utils/logger.js';
  * @param {string} boardId - Fizzy board ID
  * @param {Object} options - Options
  * @param {boolean} options.dryRun - If true, don't create columns
- * @returns {Promise<Object>} Column mappings and actions
+ * @param {boolean} options.interactive - If true, ask what to do with each column
+ * @param {Object} options.overrides - Choices keyed by Basecamp column ID or name (e.g. from a plan file)
+ * @param {Object} options.preset - Saved choices keyed by Basecamp column ID
+ * @param {Array} options.synonyms - Extra synonym groups for name matching
+ * @param {boolean} options.confirmMatches - Ask before using a low-confidence name match
+ *   (otherwise such columns are created)
+ * @param {string} options.onHold - What to do with cards in "On hold" sections (see ON_HOLD_ACTIONS)
+ * @param {Object} options.palette - Color palette for new columns (see buildColorPalette)
+ * @returns {Promise<Object>} Column mappings, actions, created columns and choices
  */
 export async function mapColumns(basecampColumns, fizzyColumns, fizzyClient, accountSlug, boardId, options = {}) {
-  const { dryRun = false } = options;
+  const {
+    dryRun = false,
+    interactive = false,
+    overrides = {},
+    preset = {},
+    synonyms = [],
+    confirmMatches = false,
+    onHold = ON_HOLD_ACTIONS.TAG,
+    palette = BASECAMP_TO_FIZZY_COLORS
+  } = options;
+  const synonymGroups = buildSynonyms(synonyms);
   
   const mappings = {};
   const actions = [];
   const created = [];
+  const choices = {};
+  const availableColumns = [...fizzyColumns];
+  const context = { fizzyClient, accountSlug, boardId, dryRun, availableColumns, created, palette };
   
   logger.info(`\n📊 Mapping ${basecampColumns.length} Basecamp columns...`);
 
   for (const bcColumn of basecampColumns) {
-    const columnType = detectColumnType(bcColumn);
+    const classification = classifyColumn(bcColumn);
+    const columnType = classification.type;
     const columnName = bcColumn.title || bcColumn.name;
     const columnId = bcColumn.id;
+    const notes = [];
+    let confidence = null;
 
     logger.info(`\n  Processing: ${columnName} (${columnType})`);
 
-    // Handle special column types
-    if (columnType === BASECAMP_COLUMN_TYPES.TRIAGE) {
-      const action = getColumnAction(columnType);
-      mappings[columnId] = action;
-      actions.push({
-        basecamp_id: columnId,
-        basecamp_name: columnName,
-        action: action
-      });
-      logger.success(`    → Will keep cards in "Maybe?" (triage)`);
-      continue;
+    if (classification.ambiguous) {
+      const label = SPECIAL_COLUMN_LABELS[classification.ambiguous.type];
+      notes.push(`Name contains "${classification.ambiguous.name}", which usually marks a ${label} column; treated as a regular column`);
     }
 
-    if (columnType === BASECAMP_COLUMN_TYPES.NOT_NOW) {
-      const action = getColumnAction(columnType);
-      mappings[columnId] = action;
-      actions.push({
-        basecamp_id: columnId,
-        basecamp_name: columnName,
-        action: action
-      });
-      logger.success(`    → Will move cards to "Not Now"`);
-      continue;
+    let choice = findColumnChoice(overrides, bcColumn);
+    if (choice) {
+      logger.info(`    Using plan override: ${describeColumnChoice(choice)}`);
+    } else {
+      choice = findColumnChoice(preset, bcColumn);
+      if (choice) {
+        logger.info(`    Using saved preset: ${describeColumnChoice(choice)}`);
+      }
     }
 
-    if (columnType === BASECAMP_COLUMN_TYPES.DONE) {
-      const action = getColumnAction(columnType);
+    if (!choice) {
+      const suggested = suggestColumnChoice(columnType, columnName, availableColumns, synonymGroups);
+      notes.push(...suggested.notes);
+
+      if (interactive) {
+        choice = await promptForColumnChoice(columnName, suggested.choice, availableColumns);
+      } else if (suggested.confidence !== null && suggested.confidence < MATCH_CONFIDENCE.AUTO) {
+        choice = await confirmLowConfidenceMatch(columnName, suggested, confirmMatches, notes);
+        confidence = choice.choice === COLUMN_CHOICES.MAP ? suggested.confidence : null;
+      } else {
+        choice = suggested.choice;
+        confidence = suggested.confidence;
+      }
+    }
+
+    // Handle placements that don't need a Fizzy column
+    if (CHOICE_COLUMN_TYPES[choice.choice]) {
+      const action = getColumnAction(CHOICE_COLUMN_TYPES[choice.choice]);
       mappings[columnId] = action;
       actions.push({
         basecamp_id: columnId,
         basecamp_name: columnName,
-        action: action
+        action: action,
+        notes: notes
       });
-      logger.success(`    → Will close cards`);
+      choices[columnId] = { basecamp_name: columnName, choice: choice.choice };
+      logger.success(`    → ${describeColumnChoice(choice)}`);
+      await mapOnHoldSection(bcColumn, actions[actions.length - 1], onHold, context, mappings, actions);
       continue;
     }
 
-    // Regular column - find or create in Fizzy
-    let fizzyColumn = findMatchingColumn(columnName, fizzyColumns);
+    if (!isKnownColor(bcColumn.color, palette)) {
+      notes.push(`Unknown Basecamp color "${bcColumn.color}", using the default color`);
+    }
 
-    if (fizzyColumn) {
-      logger.success(`    → Found existing Fizzy column: ${fizzyColumn.name || fizzyColumn.title}`);
+    // Map to an existing Fizzy column, or find or create one
+    let fizzyColumn = choice.choice === COLUMN_CHOICES.MAP
+      ? findChosenColumn(choice, availableColumns)
+      : null;
+
+    if (choice.choice === COLUMN_CHOICES.MAP && !fizzyColumn) {
+      logger.warn(`    ⚠ Fizzy column ${choice.fizzy_column_name || choice.fizzy_column || choice.fizzy_column_id} not found, matching by name`);
+    }
+
+    const newColumnName = choice.choice === COLUMN_CHOICES.CREATE && choice.name ? choice.name : columnName;
+
+    if (!fizzyColumn) {
+      fizzyColumn = await findOrCreateColumn(newColumnName, bcColumn.color, `dry-run-${columnId}`, context);
     } else {
-      // Create new column
-      if (dryRun) {
-        logger.warn(`    → Would create new column: ${columnName} (dry run)`);
-        fizzyColumn = {
-          id: `dry-run-${columnId}`,
-          name: columnName
-        };
-      } else {
-        logger.info(`    → Creating new Fizzy column: ${columnName}`);
-        try {
-          const color = mapBasecampColorToFizzy(bcColumn.color);
-          fizzyColumn = await fizzyClient.createColumn(accountSlug, boardId, {
-            name: columnName,
-            color: color
-          });
-          created.push(fizzyColumn);
-          logger.success(`    ✓ Created column: ${fizzyColumn.name || fizzyColumn.title}`);
-        } catch (error) {
-          logger.error(`    ✗ Failed to create column: ${error.message}`);
-          throw error;
-        }
-      }
+      logger.success(`    → Found existing Fizzy column: ${fizzyColumn.name || fizzyColumn.title}`);
     }
 
     // Create action mapping
@@ -114,8 +174,22 @@ export async function mapColumns(basecampColumns, fizzyColumns, fizzyClient, acc
       basecamp_name: columnName,
       fizzy_column_id: fizzyColumn.id,
       fizzy_column_title: fizzyColumn.name || fizzyColumn.title,
-      action: action
+      action: action,
+      confidence: confidence,
+      notes: notes
     });
+
+    // Remember the column itself, so reusing the choice never creates a duplicate
+    choices[columnId] = dryRun && !fizzyColumns.includes(fizzyColumn)
+      ? { basecamp_name: columnName, choice: COLUMN_CHOICES.CREATE, name: newColumnName }
+      : {
+        basecamp_name: columnName,
+        choice: COLUMN_CHOICES.MAP,
+        fizzy_column_id: fizzyColumn.id,
+        fizzy_column_name: fizzyColumn.name || fizzyColumn.title
+      };
+
+    await mapOnHoldSection(bcColumn, actions[actions.length - 1], onHold, context, mappings, actions);
   }
 
   logger.info(`\n✓ Column mapping complete`);
@@ -125,8 +199,250 @@ export async function mapColumns(basecampColumns, fizzyColumns, fizzyClient, acc
   return {
     mappings,        // Map of basecamp_column_id -> action object
     actions,         // Array of action details for reporting
-    created          // Array of newly created Fizzy columns
+    created,         // Array of newly created Fizzy columns
+    choices          // Map of basecamp_column_id -> choice, for presets
+  };
+}
+
+/**
+ * Find a Fizzy column by name, or create it (only pretend to in a dry run)
+ * @param {string} name - Column name
+ * @param {string} basecampColor - Basecamp color for a new column
+ * @param {string} dryRunId - Placeholder ID for a column a dry run would create
+ * @param {Object} context - Client, account, board, dryRun, available and created columns
+ * @returns {Promise<Object>} Fizzy column
+ */
+async function findOrCreateColumn(name, basecampColor, dryRunId, context) {
+  const { fizzyClient, accountSlug, boardId, dryRun, availableColumns, created, palette } = context;
+
+  const existing = findMatchingColumn(name, availableColumns);
+  if (existing) {
+    logger.success(`    → Found existing Fizzy column: ${existing.name || existing.title}`);
+    return existing;
+  }
+
+  if (dryRun) {
+    logger.warn(`    → Would create new column: ${name} (dry run)`);
+    return { id: dryRunId, name: name };
+  }
+
+  logger.info(`    → Creating new Fizzy column: ${name}`);
+  try {
+    const fizzyColumn = await fizzyClient.createColumn(accountSlug, boardId, {
+      name: name,
+      color: mapBasecampColorToFizzy(basecampColor, palette)
+    });
+    created.push(fizzyColumn);
+    availableColumns.push(fizzyColumn);
+    logger.success(`    ✓ Created column: ${fizzyColumn.name || fizzyColumn.title}`);
+    return fizzyColumn;
+  } catch (error) {
+    logger.error(`    ✗ Failed to create column: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Map the "On hold" section of a Basecamp column, if it has one
+ * The section is mapped like a column of its own, keyed by its ID, so
+ * on-hold cards (whose parent is the section) get the on-hold action.
+ */
+async function mapOnHoldSection(bcColumn, columnDetails, onHold, context, mappings, actions) {
+  const section = bcColumn.on_hold;
+  if (!section?.id) return;
+
+  const sectionName = `${bcColumn.title || bcColumn.name} (On hold)`;
+  let fizzyColumn = null;
+
+  if (onHold === ON_HOLD_ACTIONS.COLUMN) {
+    fizzyColumn = await findOrCreateColumn(sectionName, bcColumn.color, `dry-run-${section.id}`, context);
+  }
+
+  const action = getOnHoldAction(columnDetails.action, onHold, fizzyColumn?.id);
+  mappings[section.id] = action;
+
+  const details = {
+    basecamp_id: section.id,
+    basecamp_name: sectionName,
+    action: action,
+    notes: []
   };
+  if (fizzyColumn) {
+    details.fizzy_column_id = fizzyColumn.id;
+    details.fizzy_column_title = fizzyColumn.name || fizzyColumn.title;
+  } else if (columnDetails.fizzy_column_id && action.target === columnDetails.action.target) {
+    // Same place as the rest of the column
+    details.fizzy_column_id = columnDetails.fizzy_column_id;
+    details.fizzy_column_title = columnDetails.fizzy_column_title;
+  }
+  actions.push(details);
+
+  logger.info(`    On hold → ${describeColumnAction(details)}`);
+}
+
+/**
+ * Find the choice for a Basecamp column, by column ID or (case-insensitive) name
+ * @param {Object} choices - Choices keyed by Basecamp column ID or name
+ * @param {Object} bcColumn - Basecamp column
+ * @returns {Object|null} Choice
+ */
+function findColumnChoice(choices, bcColumn) {
+  if (!choices) return null;
+
+  const byId = choices[bcColumn.id.toString()];
+  if (byId) return byId;
+
+  const name = bcColumn.title || bcColumn.name;
+  const entry = Object.entries(choices).find(([key]) => columnsMatch(key, name));
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Work out the automatic choice for a column
+ * @returns {Object} Object with choice, confidence (null unless it is a name match) and notes
+ */
+function suggestColumnChoice(columnType, columnName, fizzyColumns, synonyms) {
+  switch (columnType) {
+    case BASECAMP_COLUMN_TYPES.TRIAGE:
+      return { choice: { choice: COLUMN_CHOICES.TRIAGE }, confidence: null, notes: [] };
+    case BASECAMP_COLUMN_TYPES.NOT_NOW:
+      return { choice: { choice: COLUMN_CHOICES.NOT_NOW }, confidence: null, notes: [] };
+    case BASECAMP_COLUMN_TYPES.DONE:
+      return { choice: { choice: COLUMN_CHOICES.CLOSE }, confidence: null, notes: [] };
+  }
+
+  const match = findBestColumnMatch(columnName, fizzyColumns, { synonyms });
+  if (!match) {
+    return { choice: { choice: COLUMN_CHOICES.CREATE }, confidence: null, notes: [] };
+  }
+
+  const notes = [];
+  if (match.ambiguous.length > 0) {
+    const others = match.ambiguous.map(column => `"${column.name || column.title}"`).join(', ');
+    notes.push(`Also matches ${others}`);
+  }
+
+  return {
+    choice: {
+      choice: COLUMN_CHOICES.MAP,
+      fizzy_column_id: match.column.id,
+      fizzy_column_name: match.column.name || match.column.title
+    },
+    confidence: match.score,
+    notes
+  };
+}
+
+/**
+ * Decide on a name match that isn't certain enough to use without asking
+ * Without confirmation a new column is created instead.
+ * @returns {Promise<Object>} Choice
+ */
+async function confirmLowConfidenceMatch(columnName, suggested, confirmMatches, notes) {
+  const { choice, confidence } = suggested;
+  const percentage = formatConfidence(confidence);
+
+  if (confirmMatches) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Map "${columnName}" → "${choice.fizzy_column_name}" (${percentage} match)?`,
+        default: true
+      }
+    ]);
+
+    if (answer.confirm) {
+      return choice;
+    }
+    notes.push(`Match with "${choice.fizzy_column_name}" (${percentage}) rejected`);
+  } else {
+    logger.warn(`    ⚠ "${choice.fizzy_column_name}" is only a ${percentage} match, needs confirmation`);
+    notes.push(`Possible match "${choice.fizzy_column_name}" (${percentage}) needs confirmation`);
+  }
+
+  return { choice: COLUMN_CHOICES.CREATE };
+}
+
+/**
+ * Format a match confidence as a percentage
+ * @param {number} confidence - Confidence between 0 and 1
+ * @returns {string} e.g. '87%'
+ */
+export function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+/**
+ * Ask what to do with the cards of a Basecamp column
+ * @param {string} columnName - Basecamp column name
+ * @param {Object} suggested - Automatic choice, selected by default
+ * @param {Array} fizzyColumns - Fizzy columns to offer
+ * @returns {Promise<Object>} Choice
+ */
+async function promptForColumnChoice(columnName, suggested, fizzyColumns) {
+  const choices = [
+    ...fizzyColumns.map(column => ({
+      name: `Map to "${column.name || column.title}"`,
+      value: { choice: COLUMN_CHOICES.MAP, fizzy_column_id: column.id, fizzy_column_name: column.name || column.title }
+    })),
+    { name: `Create new column "${columnName}"`, value: { choice: COLUMN_CHOICES.CREATE } },
+    new inquirer.Separator(),
+    { name: 'Send to "Not Now"', value: { choice: COLUMN_CHOICES.NOT_NOW } },
+    { name: 'Close cards', value: { choice: COLUMN_CHOICES.CLOSE } },
+    { name: 'Keep in "Maybe?" (triage)', value: { choice: COLUMN_CHOICES.TRIAGE } }
+  ];
+
+  const defaultIndex = choices.findIndex(choice =>
+    choice.value?.choice === suggested.choice &&
+    choice.value.fizzy_column_id === suggested.fizzy_column_id
+  );
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'choice',
+      message: `Where should cards from "${columnName}" go?`,
+      choices: choices,
+      default: Math.max(0, defaultIndex),
+      pageSize: 15
+    }
+  ]);
+
+  return answer.choice;
+}
+
+/**
+ * Find the Fizzy column a map choice points at (by ID, then by name)
+ */
+function findChosenColumn(choice, fizzyColumns) {
+  const reference = choice.fizzy_column_id || choice.fizzy_column;
+  const byId = fizzyColumns.find(column => column.id?.toString() === reference?.toString());
+  if (byId) return byId;
+
+  return findMatchingColumn(choice.fizzy_column_name || choice.fizzy_column, fizzyColumns);
+}
+
+/**
+ * Describe a column choice, e.g. 'Map to "Doing"'
+ * @param {Object} choice - Column choice
+ * @returns {string} Description
+ */
+export function describeColumnChoice(choice) {
+  switch (choice.choice) {
+    case COLUMN_CHOICES.MAP:
+      return `Map to "${choice.fizzy_column_name || choice.fizzy_column || choice.fizzy_column_id}"`;
+    case COLUMN_CHOICES.CREATE:
+      return choice.name ? `Create column "${choice.name}"` : 'Create column';
+    case COLUMN_CHOICES.NOT_NOW:
+      return 'Move cards to "Not Now"';
+    case COLUMN_CHOICES.CLOSE:
+      return 'Close cards';
+    case COLUMN_CHOICES.TRIAGE:
+      return 'Keep cards in "Maybe?" (triage)';
+    default:
+      return choice.choice;
+  }
 }
 
 /**
@@ -150,24 +466,166 @@ export function getColumnMappingSummary(actions) {
   let summary = '\n📊 Column Mapping Summary:\n\n';
   
   for (const action of actions) {
-    const bcName = action.basecamp_name;
-    const actionType = action.action.type;
-    
-    switch (actionType) {
-      case 'keep_triage':
-        summary += `  ${bcName} → Keep in "Maybe?"\n`;
-        break;
-      case 'not_now':
-        summary += `  ${bcName} → Move to "Not Now"\n`;
-        break;
-      case 'close':
-        summary += `  ${bcName} → Close card\n`;
-        break;
-      case 'triage_to_column':
-        summary += `  ${bcName} → ${action.fizzy_column_title}\n`;
-        break;
+    const description = describeColumnAction(action);
+    if (description) {
+      const confidence = action.confidence !== null && action.confidence !== undefined && action.confidence < 1
+        ? ` (${formatConfidence(action.confidence)} match)`
+        : '';
+      summary += `  ${action.basecamp_name} → ${description}${confidence}\n`;
+    }
+    for (const note of action.notes || []) {
+      summary += `    ⚠ ${note}\n`;
     }
   }
   
   return summary;
 }
+
+/**
+ * Bring the Fizzy columns in line with the Basecamp card table layout
+ * Mapped Fizzy columns are put in the order of their Basecamp columns
+ * (by `position`), within the places they already take up, so columns
+ * that no Basecamp column maps to stay where they are. Columns are moved
+ * one place at a time, which is all Fizzy offers. With recolor, mapped
+ * columns whose color differs from their Basecamp column's are recolored.
+ * @param {Array} basecampColumns - Basecamp columns
+ * @param {Array} fizzyColumns - Fizzy columns in board order (including created ones)
+ * @param {Array} actions - Column actions from mapColumns
+ * @param {Object} fizzyClient - Fizzy API client
+ * @param {string} accountSlug - Fizzy account slug
+ * @param {string} boardId - Fizzy board ID
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - If true, only report what would change
+ * @param {boolean} options.reorder - Reorder columns (default true)
+ * @param {boolean} options.recolor - Recolor mapped columns
+ * @param {Object} options.palette - Color palette (see buildColorPalette)
+ * @returns {Promise<Object>} Object with reordered ({ name, from, to } positions, 1-based)
+ *   and recolored ({ name, from, to } colors)
+ */
+export async function syncColumnLayout(basecampColumns, fizzyColumns, actions, fizzyClient, accountSlug, boardId, options = {}) {
+  const { dryRun = false, reorder = true, recolor = false, palette = BASECAMP_TO_FIZZY_COLORS } = options;
+  const layout = { reordered: [], recolored: [] };
+  const columnName = column => column.name || column.title;
+
+  // Fizzy columns in the order of the Basecamp columns that map to them
+  const sortedBasecampColumns = basecampColumns
+    .map((column, index) => ({ column, position: column.position ?? index }))
+    .sort((a, b) => a.position - b.position)
+    .map(entry => entry.column);
+
+  // An "On hold" column goes right after its column
+  const mapped = [];
+  for (const bcColumn of sortedBasecampColumns) {
+    for (const basecampId of [bcColumn.id, bcColumn.on_hold?.id]) {
+      const action = basecampId && actions.find(a => a.basecamp_id === basecampId && a.fizzy_column_id);
+      const fizzyColumn = action && fizzyColumns.find(column => column.id === action.fizzy_column_id);
+      if (fizzyColumn && !mapped.some(entry => entry.fizzyColumn === fizzyColumn)) {
+        mapped.push({ bcColumn, fizzyColumn });
+      }
+    }
+  }
+
+  if (reorder) {
+    const current = [...fizzyColumns];
+    const wanted = mapped.map(entry => entry.fizzyColumn);
+    const slots = new Set(wanted);
+    const target = current.map(column => (slots.has(column) ? wanted.shift() : column));
+
+    for (const [index, column] of target.entries()) {
+      const from = current.indexOf(column);
+      if (from !== index) {
+        layout.reordered.push({ name: columnName(column), from: from + 1, to: index + 1 });
+      }
+    }
+
+    // Move each column left until it reaches its place
+    const working = [...current];
+    for (let index = 0; index < target.length; index++) {
+      let position = working.indexOf(target[index]);
+      while (position > index) {
+        if (!dryRun) {
+          await fizzyClient.moveColumn(accountSlug, target[index].id, 'left');
+        }
+        [working[position - 1], working[position]] = [working[position], working[position - 1]];
+        position--;
+      }
+    }
+
+    for (const move of layout.reordered) {
+      const verb = dryRun ? 'Would move' : 'Moved';
+      logger.info(`  ${verb} ${move.name}: position ${move.from} → ${move.to}`);
+    }
+  }
+
+  if (recolor) {
+    for (const { bcColumn, fizzyColumn } of mapped) {
+      // Leave the color alone when Basecamp has none to copy (or one the palette lacks)
+      if (!bcColumn.color || !isKnownColor(bcColumn.color, palette)) continue;
+
+      const color = mapBasecampColorToFizzy(bcColumn.color, palette);
+      const currentColor = fizzyColumn.color?.value ?? fizzyColumn.color ?? null;
+      if (currentColor === color) continue;
+
+      if (!dryRun) {
+        await fizzyClient.updateColumn(accountSlug, boardId, fizzyColumn.id, { color });
+      }
+      layout.recolored.push({ name: columnName(fizzyColumn), from: currentColor, to: color });
+      logger.info(`  ${dryRun ? 'Would recolor' : 'Recolored'} ${columnName(fizzyColumn)}: ${currentColor || 'none'} → ${color}`);
+    }
+  }
+
+  return layout;
+}
+
+/**
+ * Get summary of column layout changes for display
+ * @param {Object} layout - Result of syncColumnLayout
+ * @returns {string} Formatted summary
+ */
+export function getColumnLayoutSummary(layout) {
+  const { reordered = [], recolored = [] } = layout || {};
+
+  if (reordered.length === 0 && recolored.length === 0) {
+    return '\n🎨 Column layout already matches Basecamp\n';
+  }
+
+  let summary = '\n🎨 Column Layout Summary:\n\n';
+
+  for (const move of reordered) {
+    summary += `  ↕ ${move.name}: position ${move.from} → ${move.to}\n`;
+  }
+  for (const change of recolored) {
+    summary += `  ● ${change.name}: ${change.from || 'no color'} → ${change.to}\n`;
+  }
+
+  return summary;
+}
+
+/**
+ * Describe what happens to cards from a Basecamp column
+ * @param {Object} action - Action details (an entry of mapColumns' actions)
+ * @returns {string|null} Description, e.g. 'Move to "Not Now"'
+ */
+export function describeColumnAction(action) {
+  const description = describePlacement(action);
+  const tag = action?.action?.tag;
+  return description && tag ? `${description}, tagged "${tag}"` : description;
+}
+
+/**
+ * Describe where cards from a Basecamp column are placed
+ */
+function describePlacement(action) {
+  switch (action?.action?.type) {
+    case 'keep_triage':
+      return 'Keep in "Maybe?"';
+    case 'not_now':
+      return 'Move to "Not Now"';
+    case 'close':
+      return 'Close card';
+    case 'triage_to_column':
+      return action.fizzy_column_title;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Dry Run Report Service
+ * Builds the per-card plan of a dry run and renders it as a table, JSON or CSV
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import { describeColumnAction } from './column-mapper.js';
+
+/**
+ * What a migration would do with a card
+ */
+export const PLAN_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip'        // Already migrated (duplicate)
+};
+
+// Report columns, in order
+const REPORT_FIELDS = [
+  'basecamp_id',
+  'title',
+  'basecamp_column',
+  'action',
+  'fizzy_card_number',
+  'column_action',
+  'tags',
+  'assignees',
+  'unmapped_people',
+  'steps',
+  'steps_completed',
+  'title_truncated',
+  'comments'
+];
+
+/**
+ * Build the plan entry for a card
+ * @param {Object} card - Basecamp card
+ * @param {Object} mappedCard - Result of mapCard
+ * @param {Object} migration - Migration state
+ * @param {string} action - Plan action (see PLAN_ACTIONS)
+ * @returns {Object} Plan entry
+ */
+export function buildCardPlan(card, mappedCard, migration, action) {
+  const { metadata } = mappedCard;
+  const columnDetails = (migration.column_actions || [])
+    .find(entry => entry.basecamp_id === metadata.basecamp_parent_id);
+
+  const assignees = (card.assignees || [])
+    .map(assignee => migration.user_mappings[assignee.id.toString()])
+    .filter(mapping => mapping?.fizzy_id)
+    .map(mapping => mapping.fizzy_name);
+
+  const unmappedPeople = new Set([
+    ...metadata.unmapped_assignees.map(person => person.name),
+    ...metadata.unmapped_step_assignees.map(person => person.assignee_name)
+  ]);
+
+  return {
+    basecamp_id: card.id,
+    title: card.title,
+    basecamp_column: metadata.basecamp_parent_title || null,
+    action: action,
+    fizzy_card_number: migration.existing_cards[card.id.toString()] || null,
+    column_action: metadata.completed ? 'Close card' : (describeColumnAction(columnDetails) || 'Keep in "Maybe?"'),
+    tags: metadata.tags,
+    assignees: assignees,
+    unmapped_people: [...unmappedPeople],
+    steps: metadata.steps.length,
+    steps_completed: metadata.steps.filter(step => step.completed).length,
+    title_truncated: metadata.title_truncated,
+    comments: metadata.comments_count
+  };
+}
+
+/**
+ * Render a dry run plan as a terminal table
+ * @param {Array} plan - Plan entries
+ * @returns {string} Table
+ */
+export function formatPlanTable(plan) {
+  const table = new Table({
+    head: ['Card', 'Action', 'Column', 'Assignees', 'Unmapped', 'Steps', 'Notes'].map(title => chalk.cyan(title)),
+    colWidths: [32, 9, 20, 20, 20, 7, 16],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+
+  for (const entry of plan) {
+    const actionColor = entry.action === PLAN_ACTIONS.CREATE ? chalk.green :
+                        entry.action === PLAN_ACTIONS.UPDATE ? chalk.yellow :
+                        chalk.gray;
+    const notes = [];
+    if (entry.title_truncated) notes.push('title truncated');
+    if (entry.fizzy_card_number) notes.push(`#${entry.fizzy_card_number}`);
+
+    table.push([
+      entry.title,
+      actionColor(entry.action),
+      entry.column_action,
+      entry.assignees.join(', '),
+      entry.unmapped_people.length > 0 ? chalk.yellow(entry.unmapped_people.join(', ')) : '',
+      entry.steps > 0 ? `${entry.steps_completed}/${entry.steps}` : '',
+      notes.join(', ')
+    ]);
+  }
+
+  return table.toString();
+}
+
+/**
+ * Count plan entries per action
+ * @param {Array} plan - Plan entries
+ * @returns {Object} Map of action -> count
+ */
+export function countPlanActions(plan) {
+  const counts = { create: 0, update: 0, skip: 0 };
+  for (const entry of plan) {
+    counts[entry.action]++;
+  }
+  return counts;
+}
+
+/**
+ * Write a dry run plan to a file
+ * The format follows the extension: .csv writes CSV, anything else JSON.
+ * @param {Array} plan - Plan entries
+ * @param {string} filePath - Output file
+ * @returns {Promise<string>} Format written ('json' or 'csv')
+ */
+export async function writePlanReport(plan, filePath) {
+  const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const content = format === 'csv' ? toCsv(plan) : JSON.stringify(plan, null, 2);
+
+  await fs.writeFile(filePath, content);
+  return format;
+}
+
+/**
+ * Convert plan entries to CSV (lists are joined with "; ")
+ */
+function toCsv(plan) {
+  const rows = [REPORT_FIELDS.join(',')];
+
+  for (const entry of plan) {
+    rows.push(REPORT_FIELDS.map(field => {
+      const value = entry[field];
+      return csvValue(Array.isArray(value) ? value.join('; ') : value);
+    }).join(','));
+  }
+
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Quote a CSV value when needed
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,208 @@
+/**
+ * Link Rewriter Service
+ * Rewrites links between Basecamp cards to point at the migrated Fizzy cards
+ */
+
+import * as logger from '../utils/logger.js';
+import { addWarning, loadAllMigrationStates } from '../state/migration-state.js';
+
+// https://3.basecamp.com/{account}/buckets/{project}/card_tables/cards/{id}[/...][?...][#...]
+const BASECAMP_CARD_URL = /https:\/\/3\.basecamp\.com\/\d+\/buckets\/\d+\/card_tables\/cards\/(\d+)[^\s"'<>]*/g;
+
+/**
+ * Find the Basecamp card IDs linked from a piece of HTML
+ * @param {string} html - HTML content
+ * @returns {Array<string>} Linked Basecamp card IDs
+ */
+export function findBasecampCardLinks(html) {
+  if (!html) return [];
+  return Array.from(html.matchAll(BASECAMP_CARD_URL), match => match[1]);
+}
+
+/**
+ * Rewrite Basecamp card URLs in HTML
+ * @param {string} html - HTML content
+ * @param {Function} resolveUrl - Called as resolveUrl(basecampId, url); returns the Fizzy URL,
+ *   null if the card isn't migrated, or the original url to leave the link alone
+ * @returns {Object} Object with html, rewritten count and unresolved Basecamp IDs
+ */
+export function rewriteCardLinks(html, resolveUrl) {
+  let rewritten = 0;
+  const unresolved = [];
+
+  const result = (html || '').replace(BASECAMP_CARD_URL, (url, basecampId) => {
+    const fizzyUrl = resolveUrl(basecampId, url);
+    if (fizzyUrl === url) {
+      return url;
+    }
+    if (!fizzyUrl) {
+      unresolved.push(basecampId);
+      return url;
+    }
+    rewritten++;
+    return fizzyUrl;
+  });
+
+  return { html: result, rewritten, unresolved };
+}
+
+/**
+ * Remember that a migrated card still contains links to Basecamp cards
+ * @param {Object} migration - Migration state
+ * @param {number} fizzyCardNumber - Fizzy card number
+ * @param {string} field - 'description' or 'comments'
+ */
+export function markPendingLinks(migration, fizzyCardNumber, field) {
+  if (!migration.pending_links) {
+    migration.pending_links = {};
+  }
+  if (!migration.pending_links[fizzyCardNumber]) {
+    migration.pending_links[fizzyCardNumber] = { description: false, comments: false };
+  }
+  migration.pending_links[fizzyCardNumber][field] = true;
+}
+
+/**
+ * Build a Basecamp card ID -> Fizzy card number index for an account
+ * Combines this migration with every other saved migration into the same
+ * Fizzy account, so links between card tables resolve too.
+ * @param {Object} migration - Current migration state
+ * @returns {Promise<Object>} Map of basecamp_id -> fizzy_card_number
+ */
+export async function buildCardLinkIndex(migration) {
+  const index = {};
+  const accountSlug = migration.target.account_slug;
+
+  for (const other of await loadAllMigrationStates()) {
+    if (other.migration_id === migration.migration_id) continue;
+    if (other.target?.account_slug !== accountSlug || other.options?.dry_run) continue;
+    Object.assign(index, other.existing_cards || {});
+  }
+
+  // The current migration wins over older ones
+  return Object.assign(index, migration.existing_cards);
+}
+
+/**
+ * Rewrite links to cards already known to this migration
+ * Used when re-syncing a card, so the freshly mapped description can be
+ * compared with the Fizzy copy whose links were already rewritten.
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state
+ * @param {string} html - Mapped HTML
+ * @param {string} ownBasecampId - Basecamp ID of the card the HTML belongs to
+ * @returns {Object} Object with html, rewritten count and unresolved Basecamp IDs
+ */
+export function rewriteKnownCardLinks(fizzyClient, migration, html, ownBasecampId) {
+  const resolveUrl = createUrlResolver(
+    fizzyClient,
+    migration.target.account_slug,
+    migration.existing_cards,
+    ownBasecampId
+  );
+  return rewriteCardLinks(html, resolveUrl);
+}
+
+/**
+ * Create a resolveUrl callback for rewriteCardLinks
+ * The card's own Basecamp link (provenance note) keeps pointing at Basecamp.
+ */
+function createUrlResolver(fizzyClient, accountSlug, index, ownBasecampId) {
+  return (basecampId, url) => {
+    if (basecampId === ownBasecampId) return url;
+    return index[basecampId] ? fizzyClient.getCardUrl(accountSlug, index[basecampId]) : null;
+  };
+}
+
+/**
+ * Rewrite cross-card links in every card of a migration that still has them
+ * Cards whose links all resolved are removed from pending_links; the rest stay
+ * pending so a later run (e.g. after migrating the linked card table) can
+ * finish them.
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state
+ * @returns {Promise<Object>} Object with rewritten and unresolved counts
+ */
+export async function rewriteMigrationLinks(fizzyClient, migration) {
+  const accountSlug = migration.target.account_slug;
+  const pending = Object.entries(migration.pending_links || {});
+  const totals = { rewritten: 0, unresolved: 0 };
+
+  if (pending.length === 0) {
+    return totals;
+  }
+
+  logger.info(`Rewriting cross-card links in ${pending.length} cards...`);
+
+  const index = await buildCardLinkIndex(migration);
+  const basecampIds = Object.fromEntries(
+    Object.entries(migration.existing_cards).map(([basecampId, number]) => [number, basecampId])
+  );
+  // A link that stays unresolved is reported once, not again on every relink
+  const reported = new Set(
+    migration.warnings
+      .filter(warning => warning.context?.basecamp_id && warning.context?.fizzy_card_number)
+      .map(warning => `${warning.context.fizzy_card_number}:${warning.context.basecamp_id}`)
+  );
+
+  for (const [cardNumber, fields] of pending) {
+    const unresolved = new Set();
+    const resolveUrl = createUrlResolver(fizzyClient, accountSlug, index, basecampIds[cardNumber]);
+
+    try {
+      if (fields.description) {
+        const card = await fizzyClient.getCard(accountSlug, cardNumber);
+        const description = card.description_html || card.description || '';
+        const result = rewriteCardLinks(description, resolveUrl);
+
+        if (result.rewritten > 0) {
+          await fizzyClient.updateCard(accountSlug, cardNumber, { description: result.html });
+          totals.rewritten += result.rewritten;
+        }
+        result.unresolved.forEach(id => unresolved.add(id));
+        fields.description = result.unresolved.length > 0;
+      }
+
+      if (fields.comments) {
+        const comments = await fizzyClient.getComments(accountSlug, cardNumber);
+        let commentsPending = false;
+
+        for (const comment of comments || []) {
+          const body = typeof comment.body === 'string' ? comment.body : comment.body?.html || '';
+          const result = rewriteCardLinks(body, resolveUrl);
+
+          if (result.rewritten > 0) {
+            await fizzyClient.updateComment(accountSlug, cardNumber, comment.id, { body: result.html });
+            totals.rewritten += result.rewritten;
+          }
+          result.unresolved.forEach(id => unresolved.add(id));
+          commentsPending = commentsPending || result.unresolved.length > 0;
+        }
+        fields.comments = commentsPending;
+      }
+    } catch (error) {
+      addWarning(migration, `Failed to rewrite links in card ${cardNumber}`, { error: error.message });
+      continue;
+    }
+
+    for (const basecampId of unresolved) {
+      if (reported.has(`${cardNumber}:${basecampId}`)) continue;
+      addWarning(migration, `Card ${cardNumber} links to Basecamp card ${basecampId}, which was not migrated`, {
+        fizzy_card_number: cardNumber,
+        basecamp_id: basecampId
+      });
+    }
+    totals.unresolved += unresolved.size;
+
+    if (!fields.description && !fields.comments) {
+      delete migration.pending_links[cardNumber];
+    }
+  }
+
+  migration.metadata.links_rewritten = (migration.metadata.links_rewritten || 0) + totals.rewritten;
+  migration.metadata.links_unresolved = totals.unresolved;
+
+  logger.success(`✓ Rewrote ${totals.rewritten} links (${totals.unresolved} unresolved)`);
+
+  return totals;
+}
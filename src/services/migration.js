@@ -4,18 +4,57 @@
  */
 
 import * as logger from '../utils/logger.js';
-import { mapColumns, getColumnMappingSummary } from './column-mapper.js';
-import { mapUsers, getUnmappedUsers, formatUserMappings } from './user-mapper.js';
-import { mapCard, mapComment } from '../mappers/card-mapper.js';
+import { mapColumns, getColumnMappingSummary, syncColumnLayout, getColumnLayoutSummary } from './column-mapper.js';
+import { mapUsers, applyUserOverrides, getUnmappedUsers, formatUserMappings } from './user-mapper.js';
+import {
+  mapCard,
+  mapComment,
+  buildStepOwnersComment,
+  extractBasecampCommentId,
+  STEP_ASSIGNEE_STRATEGIES,
+  CARD_OPTION_DEFAULTS
+} from '../mappers/card-mapper.js';
+import { getColumnSections, getSectionCards, buildColorPalette, ON_HOLD_ACTIONS } from '../mappers/status-mapper.js';
+import { transferAttachments } from './attachment-migrator.js';
+import { createTagger } from './tagger.js';
+import { scanMigratedCards, getIdentityTag, forgetMigratedCard } from './card-index.js';
+import { recordLedgerEntry, loadCardLedger, findLedgerEntry, hashDescription } from '../state/card-ledger.js';
+import { buildCardPlan, PLAN_ACTIONS } from './dry-run-report.js';
+import {
+  findBasecampCardLinks,
+  markPendingLinks,
+  rewriteKnownCardLinks,
+  rewriteMigrationLinks
+} from './link-rewriter.js';
 import {
   createMigrationState,
   saveMigrationState,
   updateProgress,
   completeMigration,
   addFailedItem,
+  removeFailedItem,
   addWarning,
-  getMigrationSummary
+  getMigrationSummary,
+  markPhaseCompleted,
+  isPhaseCompleted,
+  getProcessedCards,
+  markCardStarted,
+  isCardInProgress,
+  markCardProcessed,
+  getSyncMark,
+  setSyncMark,
+  getCommentCheckpoint,
+  recordCreatedResource
 } from '../state/migration-state.js';
+import { runWithConcurrency, createSerialQueue } from '../utils/concurrency.js';
+
+// What migrateCard did with a card
+const CARD_RESULTS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  SKIPPED: 'skipped',  // Migrated before and not updated
+  PLANNED: 'planned'   // Dry run
+};
 
 /**
  * Run full migration from Basecamp to Fizzy
@@ -30,15 +69,45 @@ import {
  * @param {string} target.accountSlug - Fizzy account slug
  * @param {string} target.boardId - Fizzy board ID
  * @param {Object} options - Migration options
+ * @param {Object} [options.userMappings] - User mappings made up front (e.g. by a batch);
+ *   when given, the user mapping phase is skipped
+ * @param {Object} [options.userOverrides] - Fixed user mappings by Basecamp ID/email (plan file)
+ * @param {Object} [options.columnOverrides] - Column choices by Basecamp column ID or name (plan file)
+ * @param {Object} [options.columnPreset] - Saved column choices for the card table
+ * @param {boolean} [options.interactiveColumns] - Ask what to do with each column
+ * @param {Array} [options.columnSynonyms] - Extra column name synonym groups (config.column_synonyms)
+ * @param {boolean} [options.columnOrder] - Put Fizzy columns in the Basecamp column order
+ * @param {boolean} [options.recolorColumns] - Give matched Fizzy columns their Basecamp column's color
+ * @param {string} [options.onHold] - What to do with cards in "On hold" sections (see ON_HOLD_ACTIONS)
+ * @param {Object} [options.colorPalette] - Basecamp color -> Fizzy color overrides for the account
+ * @param {Object} [options.tagRules] - Tag rules for migrated cards (see readTagRules)
  * @returns {Promise<Object>} Migration result
  */
 export async function runMigration(clients, source, target, options = {}) {
   const {
     migrateComments = false,
+    migrateAttachments = true,
     updateExisting = false,
     dryRun = false,
     batchSize = 10,
-    skipUserMapping = false
+    skipUserMapping = false,
+    dueDates = CARD_OPTION_DEFAULTS.dueDates,
+    stepAssignees = CARD_OPTION_DEFAULTS.stepAssignees,
+    provenance = CARD_OPTION_DEFAULTS.provenance,
+    provenancePosition = CARD_OPTION_DEFAULTS.provenancePosition,
+    identityTag = false,
+    createdBoard = false,
+    userMappings = null,
+    userOverrides = {},
+    columnOverrides = {},
+    columnPreset = {},
+    interactiveColumns = false,
+    columnSynonyms = [],
+    columnOrder = false,
+    recolorColumns = false,
+    onHold = ON_HOLD_ACTIONS.TAG,
+    colorPalette = {},
+    tagRules = {}
   } = options;
 
   const { basecampClient, fizzyClient } = clients;
@@ -59,27 +128,152 @@ export async function runMigration(clients, source, target, options = {}) {
     fizzyClient,
     source,
     target,
-    { migrateComments, updateExisting, dryRun, batchSize }
+    {
+      migrateComments,
+      migrateAttachments,
+      updateExisting,
+      dryRun,
+      batchSize,
+      skipUserMapping,
+      dueDates,
+      stepAssignees,
+      provenance,
+      provenancePosition,
+      identityTag,
+      createdBoard,
+      userOverrides,
+      columnOverrides,
+      columnPreset,
+      interactiveColumns,
+      columnSynonyms,
+      columnOrder,
+      recolorColumns,
+      onHold,
+      colorPalette,
+      tagRules
+    }
   );
 
+  markPhaseCompleted(migration, 'discovery');
+
+  if (userMappings) {
+    migration.user_mappings = { ...userMappings };
+    migration.metadata.users_mapped = Object.keys(userMappings).length;
+    markPhaseCompleted(migration, 'user_mapping');
+  }
+
   await saveMigrationState(migration);
   logger.success(`✓ Migration state created: ${migration.migration_id}\n`);
 
+  return runRemainingPhases(clients, migration, source, target);
+}
+
+/**
+ * Continue an interrupted migration from the phase and card where it stopped
+ * Phases whose results are already stored in the state are skipped, and
+ * card migration skips the cards each column already processed.
+ * @param {Object} clients - API clients
+ * @param {Object} clients.basecampClient - Basecamp client
+ * @param {Object} clients.fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state loaded from disk
+ * @returns {Promise<Object>} Migration result
+ */
+export async function resumeMigration(clients, migration) {
+  const { source, target } = getMigrationEndpoints(migration);
+
+  logger.info(`\n━━━ Resuming ${migration.migration_id} from ${migration.progress.current_phase} ━━━\n`);
+  migration.status = 'in_progress';
+  migration.completed_at = null;
+
+  return runRemainingPhases(clients, migration, source, target);
+}
+
+/**
+ * Sync Basecamp changes made since the last run into a migrated board
+ * Only cards whose updated_at is newer than the card table's high-water mark
+ * are processed: new cards are created, changed cards are updated and
+ * re-placed. Column and user mapping run again, so new columns and people
+ * are picked up, while the mappings already stored are kept. Both run without
+ * prompting, so a sync can be scheduled. The status only
+ * reflects failures of this run; earlier ones stay listed for bf resume.
+ * @param {Object} clients - API clients
+ * @param {Object} clients.basecampClient - Basecamp client
+ * @param {Object} clients.fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state loaded from disk
+ * @returns {Promise<Object>} Migration result
+ */
+export async function syncMigration(clients, migration) {
+  const { basecampClient } = clients;
+  const { source, target } = getMigrationEndpoints(migration);
+  const since = getSyncMark(migration, source.cardTableId);
+
+  if (since) {
+    logger.info(`\n━━━ Syncing ${migration.migration_id}: cards updated since ${since} ━━━\n`);
+  } else {
+    logger.warn(`\n━━━ Syncing ${migration.migration_id}: no high-water mark yet, checking every card ━━━\n`);
+  }
+
+  // Pick up columns added in Basecamp since the last run
+  migration.cardTable = await basecampClient.getCardTable(source.projectId, source.cardTableId);
+
+  migration.status = 'in_progress';
+  migration.completed_at = null;
+  migration.completed_phases = ['discovery'];
+  migration.processed_cards = {};
+  migration.sync = {
+    ...migration.sync,
+    current: { since, started_at: new Date().toISOString() }
+  };
+  Object.assign(migration.progress, { processed_cards: 0, successful_cards: 0, skipped_cards: 0 });
+  await saveMigrationState(migration);
+
+  return runRemainingPhases(clients, migration, source, target, {
+    failedBefore: migration.progress.failed_cards
+  });
+}
+
+/**
+ * Run phases 2-5, skipping phases that are already completed
+ * All options are read from the migration state.
+ * @param {Object} [run] - This run
+ * @param {number} [run.failedBefore] - Failed cards recorded before this run (not counted in its status)
+ */
+async function runRemainingPhases(clients, migration, source, target, run = {}) {
+  const dryRun = migration.options.dry_run;
+  const skipUserMapping = migration.options.skip_user_mapping;
+  const { basecampClient, fizzyClient } = clients;
+  // A sync runs unattended, so column and user mapping don't prompt
+  const interactive = !dryRun && !migration.sync?.current;
+
   // ===== PHASE 2: COLUMN SETUP =====
   logger.info('\n━━━ PHASE 2: Column Mapping & Setup ━━━\n');
-  updateProgress(migration, { current_phase: 'column_mapping' });
   
-  await phase2_columns(basecampClient, fizzyClient, migration, target, dryRun);
-  await saveMigrationState(migration);
+  if (!isPhaseCompleted(migration, 'column_mapping')) {
+    updateProgress(migration, { current_phase: 'column_mapping' });
+    
+    await phase2_columns(basecampClient, fizzyClient, migration, target, dryRun, interactive);
+    markPhaseCompleted(migration, 'column_mapping');
+    await saveMigrationState(migration);
+  } else {
+    logger.info('✓ Using column mappings from saved state');
+  }
   
   logger.info(getColumnMappingSummary(migration.column_actions));
+  if (migration.column_layout) {
+    logger.info(getColumnLayoutSummary(migration.column_layout));
+  }
 
   // ===== PHASE 3: USER MAPPING =====
   logger.info('\n━━━ PHASE 3: User Mapping ━━━\n');
-  updateProgress(migration, { current_phase: 'user_mapping' });
   
-  if (!skipUserMapping) {
-    await phase3_users(basecampClient, fizzyClient, migration, target, dryRun);
+  if (isPhaseCompleted(migration, 'user_mapping')) {
+    logger.info('✓ Using user mappings from saved state');
+    logger.info(formatUserMappings(migration.user_mappings));
+  } else if (!skipUserMapping) {
+    updateProgress(migration, { current_phase: 'user_mapping' });
+    
+    await phase3_users(basecampClient, fizzyClient, migration, target, interactive);
+    markPhaseCompleted(migration, 'user_mapping');
     await saveMigrationState(migration);
     
     logger.info(formatUserMappings(migration.user_mappings));
@@ -91,14 +285,18 @@ export async function runMigration(clients, source, target, options = {}) {
   logger.info('\n━━━ PHASE 4: Card Migration ━━━\n');
   updateProgress(migration, { current_phase: 'card_migration' });
   
-  await phase4_cards(basecampClient, fizzyClient, migration, source, target, options);
+  await phase4_cards(basecampClient, fizzyClient, migration, source, target);
+  markPhaseCompleted(migration, 'card_migration');
   await saveMigrationState(migration);
 
   // ===== PHASE 5: FINALIZATION =====
   logger.info('\n━━━ PHASE 5: Finalization ━━━\n');
   updateProgress(migration, { current_phase: 'finalization' });
   
-  await phase5_finalize(migration);
+  if (!dryRun) {
+    await rewriteMigrationLinks(fizzyClient, migration);
+  }
+  await phase5_finalize(migration, run.failedBefore);
   await saveMigrationState(migration);
 
   // Print final summary
@@ -107,6 +305,139 @@ export async function runMigration(clients, source, target, options = {}) {
   return migration;
 }
 
+/**
+ * Retry the cards recorded as failed in a saved migration
+ * Reuses the stored column mappings, user mappings and existing cards,
+ * and updates the same migration state in place. Dry-run migrations have
+ * nothing to retry, so bf resume never calls this for them.
+ * @param {Object} clients - API clients
+ * @param {Object} clients.basecampClient - Basecamp client
+ * @param {Object} clients.fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state loaded from disk
+ * @returns {Promise<Object>} Updated migration state
+ */
+export async function retryFailedCards(clients, migration) {
+  const { basecampClient, fizzyClient } = clients;
+  const { source, target } = getMigrationEndpoints(migration);
+  const options = getCardOptions(migration, fizzyClient);
+
+  const failedCards = migration.failed_items.filter(item => item.type === 'card');
+
+  logger.info(`\n━━━ Retrying ${failedCards.length} failed cards ━━━\n`);
+  migration.status = 'in_progress';
+  migration.completed_at = null;
+  updateProgress(migration, { current_phase: 'card_migration' });
+
+  const batchSize = getBatchSize(migration);
+  const saveState = createSerialQueue(saveMigrationState);
+  const counts = { succeeded: 0, skipped: 0, failed: 0 };
+
+  await runWithConcurrency(failedCards, batchSize, async (item) => {
+    let card = null;
+
+    try {
+      // Re-fetch the card so we migrate its current Basecamp content
+      card = await basecampClient.getCard(source.projectId, item.basecamp_id);
+
+      const result = await migrateCard(
+        card,
+        basecampClient,
+        fizzyClient,
+        migration,
+        source,
+        target,
+        options
+      );
+
+      removeFailedItem(migration, 'card', item.basecamp_id);
+      migration.progress.failed_cards = Math.max(0, migration.progress.failed_cards - 1);
+
+      if (result === CARD_RESULTS.SKIPPED) {
+        counts.skipped++;
+        logger.info(`   ⊘ ${card.title} (already in Fizzy)`);
+      } else {
+        counts.succeeded++;
+        migration.progress.successful_cards++;
+        logger.success(`   ✓ ${card.title}`);
+      }
+    } catch (error) {
+      counts.failed++;
+      // Replace the old failure record so it carries the latest error
+      removeFailedItem(migration, 'card', item.basecamp_id);
+      addFailedItem(migration, 'card', card || item, error);
+      logger.error(`   ✗ ${item.title}: ${error.message}`);
+    }
+
+    await saveState(migration);
+  });
+
+  logger.info(`\nRetried: ${counts.succeeded} succeeded, ${counts.skipped} skipped (already in Fizzy), ${counts.failed} failed`);
+
+  logger.info('\n━━━ PHASE 5: Finalization ━━━\n');
+  updateProgress(migration, { current_phase: 'finalization' });
+
+  await rewriteMigrationLinks(fizzyClient, migration);
+  await phase5_finalize(migration);
+  await saveMigrationState(migration);
+
+  logger.info(getMigrationSummary(migration));
+
+  return migration;
+}
+
+/**
+ * Rebuild source and target descriptors from a saved migration state
+ * @param {Object} migration - Migration state
+ * @returns {Object} Object with source and target in runMigration's format
+ */
+function getMigrationEndpoints(migration) {
+  return {
+    source: {
+      projectId: migration.source.project_id,
+      projectName: migration.source.project_name,
+      cardTableId: migration.source.cardtable_id
+    },
+    target: {
+      accountSlug: migration.target.account_slug,
+      boardId: migration.target.board_id
+    }
+  };
+}
+
+/**
+ * Build the per-card options from the options stored in the migration state
+ * @param {Object} migration - Migration state
+ * @param {Object} fizzyClient - Fizzy client, for the tagger shared by all cards
+ * @returns {Object} Options for migrateCard
+ */
+function getCardOptions(migration, fizzyClient) {
+  const options = migration.options;
+
+  return {
+    migrateComments: options.migrate_comments,
+    migrateAttachments: options.migrate_attachments !== false,
+    updateExisting: options.update_existing,
+    dryRun: options.dry_run,
+    dueDates: options.due_dates || CARD_OPTION_DEFAULTS.dueDates,
+    stepAssignees: options.step_assignees || CARD_OPTION_DEFAULTS.stepAssignees,
+    provenance: options.provenance || CARD_OPTION_DEFAULTS.provenance,
+    provenancePosition: options.provenance_position || CARD_OPTION_DEFAULTS.provenancePosition,
+    identityTag: options.identity_tag || false,
+    colorPalette: buildColorPalette(options.color_palette),
+    tagRules: options.tag_rules || {},
+    tagger: createTagger(fizzyClient, migration.target.account_slug)
+  };
+}
+
+/**
+ * Get the number of cards to migrate in parallel
+ * @param {Object} migration - Migration state
+ * @returns {number} Batch size
+ */
+function getBatchSize(migration) {
+  return parseInt(migration.options.batch_size, 10) || 10;
+}
+
 /**
  * Phase 1: Discovery & Validation
  */
@@ -119,22 +450,46 @@ async function phase1_discovery(basecampClient, fizzyClient, source, target, opt
   const board = await fizzyClient.getBoard(target.accountSlug, target.boardId);
   logger.success(`✓ Board: ${board.name}`);
 
+  // The project tag needs the project name
+  let projectName = source.projectName;
+  if (!projectName && options.tagRules?.project) {
+    const project = await basecampClient.getProject(source.projectId);
+    projectName = project.name;
+  }
+
   logger.info('Counting cards in all columns...');
   let totalCards = 0;
+  let onHoldCards = 0;
   const columnCounts = {};
   
   for (const column of cardTable.lists || []) {
-    const cards = await basecampClient.getAllCardsFromColumn(source.projectId, column.id);
-    columnCounts[column.id] = cards.length;
-    totalCards += cards.length;
-    logger.info(`  - ${column.title}: ${cards.length} cards`);
+    let onHoldCount = 0;
+
+    // Counted per section, so "On hold" cards are counted once
+    for (const section of getColumnSections(column)) {
+      const cards = getSectionCards(
+        await basecampClient.getAllCardsFromColumn(source.projectId, section.id),
+        section,
+        column
+      );
+      columnCounts[section.id] = cards.length;
+      totalCards += cards.length;
+      if (section.on_hold) {
+        onHoldCount += cards.length;
+      }
+    }
+
+    onHoldCards += onHoldCount;
+    const onHoldNote = column.on_hold?.id ? ` (${onHoldCount} on hold)` : '';
+    logger.info(`  - ${column.title}: ${columnCounts[column.id] + onHoldCount} cards${onHoldNote}`);
   }
 
-  logger.success(`✓ Total cards to migrate: ${totalCards}\n`);
+  const onHoldTotal = onHoldCards > 0 ? ` (${onHoldCards} on hold)` : '';
+  logger.success(`✓ Total cards to migrate: ${totalCards}${onHoldTotal}\n`);
 
   const migration = createMigrationState({
     projectId: source.projectId,
-    projectName: source.projectName,
+    projectName: projectName,
     cardTableId: source.cardTableId,
     cardTableName: cardTable.title,
     accountSlug: target.accountSlug,
@@ -147,14 +502,16 @@ async function phase1_discovery(basecampClient, fizzyClient, source, target, opt
   migration.cardTable = cardTable;
   migration.board = board;
   migration.column_counts = columnCounts;
+  migration.metadata.cards_on_hold = onHoldCards;
 
   return migration;
 }
 
 /**
  * Phase 2: Column Mapping & Setup
+ * Without interactive, only the plan, the preset and confident name matches are used.
  */
-async function phase2_columns(basecampClient, fizzyClient, migration, target, dryRun) {
+async function phase2_columns(basecampClient, fizzyClient, migration, target, dryRun, interactive) {
   const cardTable = migration.cardTable;
   const basecampColumns = cardTable.lists || [];
 
@@ -168,18 +525,80 @@ async function phase2_columns(basecampClient, fizzyClient, migration, target, dr
     fizzyClient,
     target.accountSlug,
     target.boardId,
-    { dryRun }
+    {
+      dryRun,
+      interactive: interactive && migration.options.interactive_columns,
+      overrides: migration.options.column_overrides,
+      // Earlier choices win over the preset, so a sync keeps the columns already used
+      preset: { ...migration.options.column_preset, ...migration.column_choices },
+      synonyms: migration.options.column_synonyms,
+      confirmMatches: interactive,
+      // Migrations from before on-hold support kept on-hold cards with their column
+      onHold: migration.options.on_hold || ON_HOLD_ACTIONS.KEEP,
+      palette: buildColorPalette(migration.options.color_palette)
+    }
   );
 
   migration.column_mappings = result.mappings;
   migration.column_actions = result.actions;
-  migration.metadata.columns_created = result.created.length;
+  migration.column_choices = result.choices;
+  migration.metadata.columns_created = (migration.metadata.columns_created || 0) + result.created.length;
+  for (const column of result.created) {
+    recordCreatedResource(migration, 'columns', column.id);
+  }
+
+  if (migration.options.column_order || migration.options.recolor_columns) {
+    await phase2_layout(fizzyClient, migration, target, basecampColumns, fizzyColumns, result, dryRun);
+  }
+}
+
+/**
+ * Phase 2b: Column Layout
+ * Orders (and optionally recolors) the Fizzy columns like the Basecamp ones.
+ * A failure here is only a warning, the cards can still be migrated.
+ */
+async function phase2_layout(fizzyClient, migration, target, basecampColumns, fizzyColumns, result, dryRun) {
+  logger.info('\nSyncing column layout...');
+
+  try {
+    // A dry run has no new columns yet, so they're placed at the end like on creation
+    const boardColumns = dryRun
+      ? [
+        ...fizzyColumns,
+        ...result.actions
+          .filter(action => action.fizzy_column_id?.startsWith('dry-run-'))
+          .map(action => ({ id: action.fizzy_column_id, name: action.fizzy_column_title }))
+      ]
+      : await fizzyClient.getColumns(target.accountSlug, target.boardId);
+
+    migration.column_layout = await syncColumnLayout(
+      basecampColumns,
+      boardColumns,
+      result.actions,
+      fizzyClient,
+      target.accountSlug,
+      target.boardId,
+      {
+        dryRun,
+        reorder: migration.options.column_order,
+        recolor: migration.options.recolor_columns,
+        palette: buildColorPalette(migration.options.color_palette)
+      }
+    );
+    migration.metadata.columns_reordered = migration.column_layout.reordered.length;
+    migration.metadata.columns_recolored = migration.column_layout.recolored.length;
+  } catch (error) {
+    logger.warn(`⚠ Failed to sync column layout: ${error.message}`);
+    addWarning(migration, 'Failed to sync column layout', { error: error.message });
+  }
 }
 
 /**
  * Phase 3: User Mapping
+ * Without interactive, stored mappings are kept, new people are only matched
+ * by email and whoever is left over is recorded as a warning.
  */
-async function phase3_users(basecampClient, fizzyClient, migration, target, dryRun) {
+async function phase3_users(basecampClient, fizzyClient, migration, target, interactive) {
   logger.info('Fetching Basecamp project members...');
   const basecampUsers = await basecampClient.getPeople(migration.source.project_id);
   logger.success(`✓ Found ${basecampUsers.length} Basecamp users`);
@@ -188,13 +607,35 @@ async function phase3_users(basecampClient, fizzyClient, migration, target, dryR
   const fizzyUsers = await fizzyClient.getUsers(target.accountSlug);
   logger.success(`✓ Found ${fizzyUsers.length} Fizzy users\n`);
 
+  // Fixed mappings from a plan file go first; skipped people aren't asked about
+  const overrides = applyUserOverrides(basecampUsers, fizzyUsers, migration.options.user_overrides);
+  for (const key of overrides.unresolved) {
+    addWarning(migration, `User override ${key} did not match a Basecamp and a Fizzy user`, { user: key });
+  }
+
+  const candidates = basecampUsers.filter(user => !overrides.skipped.includes(user.id.toString()));
   const result = await mapUsers(
-    basecampUsers,
+    candidates,
     fizzyUsers,
-    migration.user_mappings,
-    { interactive: !dryRun, skipUnmatched: false }
+    { ...migration.user_mappings, ...overrides.mappings },
+    { interactive, skipUnmatched: false }
   );
 
+  if (!interactive) {
+    // Each person is reported once, not again on every sync
+    const reported = new Set(
+      migration.warnings.filter(warning => warning.context?.unmatched_user).map(warning => warning.context.unmatched_user)
+    );
+    for (const user of candidates) {
+      const userId = user.id.toString();
+      if (!result.mappings[userId]?.fizzy_id && !reported.has(userId)) {
+        addWarning(migration, `Basecamp user ${user.name} (${user.email_address}) has no matching Fizzy user and stays unmapped`, {
+          unmatched_user: userId
+        });
+      }
+    }
+  }
+
   migration.user_mappings = result.mappings;
   migration.metadata.users_mapped = Object.keys(result.mappings).length;
 }
@@ -202,91 +643,259 @@ async function phase3_users(basecampClient, fizzyClient, migration, target, dryR
 /**
  * Phase 4: Card Migration (Main Work)
  */
-async function phase4_cards(basecampClient, fizzyClient, migration, source, target, options) {
-  const { migrateComments, updateExisting, dryRun, batchSize } = options;
+async function phase4_cards(basecampClient, fizzyClient, migration, source, target) {
+  const cardOptions = getCardOptions(migration, fizzyClient);
+  const batchSize = getBatchSize(migration);
+
+  // A sync run only looks at cards changed since the high-water mark,
+  // and always updates cards that were migrated before
+  const sync = migration.sync?.current || null;
+  if (sync) {
+    cardOptions.updateExisting = true;
+  }
+  const failedBefore = migration.progress.failed_cards;
+  let latestUpdate = getSyncMark(migration, source.cardTableId);
 
   // First, scan for existing migrated cards
+  // (a partial scan is merged with saved state so a resumed run keeps what it
+  // already knew; a complete one also drops cards deleted in Fizzy)
   logger.info('Scanning for previously migrated cards...');
-  const existingCards = await findExistingMigratedCards(fizzyClient, target.accountSlug, target.boardId);
-  migration.existing_cards = existingCards;
+  const existingCards = await scanMigratedCards(fizzyClient, migration);
+  migration.existing_cards = migration.card_index.last_scan.complete
+    ? existingCards
+    : { ...migration.existing_cards, ...existingCards };
   logger.info(`✓ Found ${Object.keys(existingCards).length} previously migrated cards\n`);
 
   const cardTable = migration.cardTable;
   const columns = cardTable.lists || [];
 
-  let processedCount = 0;
+  const saveState = createSerialQueue(saveMigrationState);
 
-  for (const column of columns) {
-    logger.info(`\n📋 Processing column: ${column.title}`);
+  // Each column, then its "On hold" section
+  const sections = columns.flatMap(column => getColumnSections(column).map(section => ({ section, column })));
+
+  for (const { section, column } of sections) {
+    logger.info(`\n📋 Processing column: ${section.title}`);
     
-    const cards = await basecampClient.getAllCardsFromColumn(source.projectId, column.id);
-    logger.info(`   ${cards.length} cards to process\n`);
-
-    // Process cards in batches
-    for (let i = 0; i < cards.length; i += batchSize) {
-      const batch = cards.slice(i, i + batchSize);
-      logger.info(`   Batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(cards.length / batchSize)}`);
-
-      for (const card of batch) {
-        try {
-          await migrateCard(
-            card,
-            basecampClient,
-            fizzyClient,
-            migration,
-            source,
-            target,
-            { migrateComments, updateExisting, dryRun }
-          );
-          
-          migration.progress.successful_cards++;
-          logger.success(`   ✓ ${card.title}`);
-        } catch (error) {
-          migration.progress.failed_cards++;
-          addFailedItem(migration, 'card', card, error);
-          logger.error(`   ✗ ${card.title}: ${error.message}`);
-        }
+    const columnCards = getSectionCards(
+      await basecampClient.getAllCardsFromColumn(source.projectId, section.id),
+      section,
+      column
+    );
+
+    for (const card of columnCards) {
+      if (card.updated_at && (!latestUpdate || new Date(card.updated_at) > new Date(latestUpdate))) {
+        latestUpdate = card.updated_at;
+      }
+    }
+
+    const cards = sync?.since
+      ? columnCards.filter(card => new Date(card.updated_at) > new Date(sync.since))
+      : columnCards;
+    const processed = getProcessedCards(migration, section.id);
+    const remaining = cards.filter(card => !processed.has(card.id.toString()));
+
+    if (remaining.length === 0 && processed.size > 0) {
+      logger.info('   ✓ Already processed, skipping\n');
+      continue;
+    }
+
+    if (processed.size > 0) {
+      logger.info(`   Continuing with ${remaining.length} of ${cards.length} cards`);
+    } else {
+      logger.info(`   ${cards.length} cards to process`);
+    }
+    logger.info(`   Migrating up to ${batchSize} cards in parallel\n`);
+
+    let sinceLastSave = 0;
 
-        processedCount++;
-        migration.progress.processed_cards = processedCount;
+    // All workers share the client's RateLimiter, which caps the combined request rate
+    await runWithConcurrency(remaining, batchSize, async (card) => {
+      // Saved before anything is created, so a resume knows a card it finds
+      // in Fizzy may only be half migrated
+      const interrupted = isCardInProgress(migration, card.id);
+      if (!cardOptions.dryRun) {
+        markCardStarted(migration, card.id);
+        await saveState(migration);
       }
 
-      // Save state after each batch
-      await saveMigrationState(migration);
+      try {
+        await migrateCard(
+          card,
+          basecampClient,
+          fizzyClient,
+          migration,
+          source,
+          target,
+          { ...cardOptions, interrupted }
+        );
+        
+        migration.progress.successful_cards++;
+        logger.success(`   ✓ ${card.title}`);
+      } catch (error) {
+        migration.progress.failed_cards++;
+        addFailedItem(migration, 'card', card, error);
+        logger.error(`   ✗ ${card.title}: ${error.message}`);
+      }
+
+      migration.progress.processed_cards++;
+
+      // Only finished cards are recorded, so a card still in flight when
+      // the process stopped is picked up again on resume (and finished
+      // through the update path if it was already created)
+      markCardProcessed(migration, section.id, card.id);
+
+      // Save state every batchSize cards
+      sinceLastSave++;
+      if (sinceLastSave >= batchSize) {
+        sinceLastSave = 0;
+        await saveState(migration);
+      }
+    });
+
+    await saveState(migration);
+  }
+
+  // Advance the high-water mark only when every card made it, so failed
+  // cards are picked up again by the next sync
+  if (!cardOptions.dryRun) {
+    if (migration.progress.failed_cards > failedBefore) {
+      logger.warn(`\n⚠ Some cards failed, sync high-water mark stays at ${getSyncMark(migration, source.cardTableId) || 'none'}`);
+    } else if (latestUpdate) {
+      setSyncMark(migration, source.cardTableId, latestUpdate);
     }
   }
+
+  if (migration.sync) {
+    migration.sync.current = null;
+  }
 }
 
 /**
  * Migrate a single card
+ * @returns {Promise<string>} What happened to the card (see CARD_RESULTS)
  */
 async function migrateCard(card, basecampClient, fizzyClient, migration, source, target, options) {
-  const { migrateComments, updateExisting, dryRun } = options;
+  const {
+    migrateComments,
+    migrateAttachments,
+    updateExisting,
+    dryRun,
+    dueDates,
+    stepAssignees,
+    provenance,
+    provenancePosition,
+    identityTag,
+    colorPalette,
+    tagRules,
+    tagger
+  } = options;
   const basecampId = card.id.toString();
+  const existingCardNumber = migration.existing_cards[basecampId];
+  // A card created by a run that stopped before finishing it is completed
+  // like an update, even without --update-existing
+  const interrupted = existingCardNumber && options.interrupted;
 
   // Check if already migrated
-  if (migration.existing_cards[basecampId]) {
-    if (!updateExisting) {
-      migration.progress.skipped_cards++;
-      return;
+  if (dryRun) {
+    // Record what would happen instead of migrating
+    const action = !existingCardNumber ? PLAN_ACTIONS.CREATE :
+                   updateExisting || interrupted ? PLAN_ACTIONS.UPDATE :
+                   PLAN_ACTIONS.SKIP;
+    const mappedCard = mapCard(card, {
+      userMappings: migration.user_mappings,
+      columnMappings: migration.column_mappings,
+      dueDates,
+      stepAssignees,
+      provenance,
+      provenancePosition,
+      colorPalette,
+      tagRules,
+      projectName: migration.source.project_name
+    });
+    if (!migration.dry_run_plan) {
+      migration.dry_run_plan = [];
     }
+    migration.dry_run_plan.push(buildCardPlan(card, mappedCard, migration, action));
+  }
+
+  if (existingCardNumber && !updateExisting && !interrupted) {
+    migration.progress.skipped_cards++;
+    return CARD_RESULTS.SKIPPED;
   }
 
   if (dryRun) {
-    return; // Skip actual migration in dry run
+    return CARD_RESULTS.PLANNED; // Skip actual migration in dry run
+  }
+
+  // Copy attachments and inline images to Fizzy before transforming
+  if (migrateAttachments && card.content) {
+    card = {
+      ...card,
+      content: await transferAttachments(card.content, {
+        basecampClient,
+        fizzyClient,
+        accountSlug: target.accountSlug,
+        migration,
+        cardId: card.id
+      })
+    };
   }
 
   // Transform card data
   const mappedCard = mapCard(card, {
     userMappings: migration.user_mappings,
-    columnMappings: migration.column_mappings
+    columnMappings: migration.column_mappings,
+    dueDates,
+    stepAssignees,
+    provenance,
+    provenancePosition,
+    colorPalette,
+    tagRules,
+    projectName: migration.source.project_name
   });
 
+  // Sync changes into the card migrated earlier instead of creating a copy
+  // (if it was deleted in Fizzy since, it is migrated again)
+  if (existingCardNumber &&
+      await updateExistingCard(card, existingCardNumber, mappedCard, basecampClient, fizzyClient, migration, source, target, options)) {
+    return CARD_RESULTS.UPDATED;
+  }
+
   // Create card in Fizzy
   const fizzyCard = await fizzyClient.createCard(target.accountSlug, target.boardId, mappedCard.card);
 
-  // Store in migration state (basecamp ID is already in description as HTML comment)
+  // Store in migration state and the card ledger
+  // (the basecamp ID is also in the description as a hidden marker)
   migration.existing_cards[basecampId] = fizzyCard.number;
+  recordCreatedResource(migration, 'cards', { id: fizzyCard.id, number: fizzyCard.number });
+  checkBackdating(migration, fizzyCard, mappedCard.card.created_at);
+  await recordLedgerEntry(target.accountSlug, fizzyCard, basecampId, target.boardId,
+    hashDescription(mappedCard.card.description));
+
+  if (identityTag) {
+    try {
+      await fizzyClient.addTag(target.accountSlug, fizzyCard.number, getIdentityTag(basecampId));
+    } catch (error) {
+      addWarning(migration, `Failed to tag card ${fizzyCard.number}`, { error: error.message });
+    }
+  }
+
+  // Tags from the tag rules, and the on-hold tag
+  if (mappedCard.metadata.tags.length > 0) {
+    const tagging = await tagger.tagCard(fizzyCard.number, mappedCard.metadata.tags);
+    migration.metadata.tags_applied = (migration.metadata.tags_applied || 0) + tagging.applied;
+    migration.metadata.tags_created = (migration.metadata.tags_created || 0) + tagging.created.length;
+    for (const { title, error } of tagging.failed) {
+      addWarning(migration, `Failed to tag card ${fizzyCard.number} as ${title}`, { error: error.message });
+    }
+  }
+
+  // Links to other Basecamp cards are rewritten once all cards exist
+  // (the card's own Basecamp link in the provenance note is left alone)
+  if (findBasecampCardLinks(mappedCard.card.description).some(id => id !== basecampId)) {
+    markPendingLinks(migration, fizzyCard.number, 'description');
+  }
 
   // Place card in column
   await placeCardInColumn(fizzyClient, fizzyCard, mappedCard.metadata.column_action, target);
@@ -303,13 +912,25 @@ async function migrateCard(card, basecampClient, fizzyClient, migration, source,
   // Add steps
   for (const step of mappedCard.metadata.steps) {
     try {
-      await fizzyClient.createStep(target.accountSlug, fizzyCard.number, step);
+      await createVerifiedStep(fizzyClient, fizzyCard, step, migration, target);
       migration.metadata.steps_migrated++;
     } catch (error) {
       addWarning(migration, `Failed to create step for card ${fizzyCard.number}`, { error: error.message });
     }
   }
 
+  await carryOverStepAssignees(fizzyClient, fizzyCard, mappedCard.metadata.step_assignments, migration, target, stepAssignees);
+
+  if (mappedCard.metadata.has_provenance) {
+    migration.metadata.cards_with_provenance = (migration.metadata.cards_with_provenance || 0) + 1;
+  }
+
+  if (mappedCard.metadata.due_on) {
+    migration.metadata.cards_with_due_dates = (migration.metadata.cards_with_due_dates || 0) + 1;
+  }
+  migration.metadata.steps_with_due_dates =
+    (migration.metadata.steps_with_due_dates || 0) + mappedCard.metadata.steps_with_due_dates;
+
   // Close if completed
   if (mappedCard.metadata.completed) {
     await fizzyClient.closeCard(target.accountSlug, fizzyCard.number);
@@ -317,7 +938,18 @@ async function migrateCard(card, basecampClient, fizzyClient, migration, source,
 
   // Migrate comments (optional)
   if (migrateComments && mappedCard.metadata.comments_count > 0) {
-    await migrateComments_forCard(card, fizzyCard, basecampClient, fizzyClient, migration, source, target);
+    await migrateComments_forCard(card, fizzyCard, basecampClient, fizzyClient, migration, source, target, { migrateAttachments });
+  }
+
+  // Log content that couldn't be converted to Fizzy HTML
+  for (const warning of mappedCard.metadata.conversion_warnings) {
+    addWarning(migration, `Card ${fizzyCard.number}: ${warning.message}`, { card_id: card.id, ...warning });
+  }
+
+  if (mappedCard.metadata.unknown_color) {
+    addWarning(migration, `Card ${fizzyCard.number}: unknown Basecamp color "${mappedCard.metadata.unknown_color}", used the default color`, {
+      card_id: card.id
+    });
   }
 
   // Log unmapped assignees
@@ -326,6 +958,305 @@ async function migrateCard(card, basecampClient, fizzyClient, migration, source,
       addWarning(migration, `Unmapped assignee: ${assignee.name} (${assignee.email})`, { card_id: card.id });
     }
   }
+
+  return CARD_RESULTS.CREATED;
+}
+
+/**
+ * Check that Fizzy kept the Basecamp creation time sent with a new card
+ * Cards it didn't backdate are counted, and the first one is reported, so the
+ * summary doesn't claim a backdating that didn't happen.
+ */
+function checkBackdating(migration, fizzyCard, createdAt) {
+  // Nothing to compare when either side has no time
+  if (!createdAt || !fizzyCard.created_at) return;
+
+  const sent = Math.floor(new Date(createdAt).getTime() / 1000);
+  const kept = Math.floor(new Date(fizzyCard.created_at).getTime() / 1000);
+  if (sent === kept) {
+    migration.metadata.cards_backdated = (migration.metadata.cards_backdated || 0) + 1;
+    return;
+  }
+
+  migration.metadata.cards_not_backdated = (migration.metadata.cards_not_backdated || 0) + 1;
+  if (migration.metadata.cards_not_backdated === 1) {
+    addWarning(migration, `Fizzy did not backdate card ${fizzyCard.number} to its Basecamp creation time, migrated cards show when they were migrated`, {
+      fizzy_card_number: fizzyCard.number,
+      basecamp_created_at: createdAt,
+      fizzy_created_at: fizzyCard.created_at
+    });
+  }
+}
+
+/**
+ * Update a previously migrated card to match Basecamp
+ * Title and description are only written when they differ; steps,
+ * assignees, column placement and comments are reconciled with the Fizzy card.
+ * @returns {Promise<boolean>} False when the card no longer exists in Fizzy
+ */
+async function updateExistingCard(card, cardNumber, mappedCard, basecampClient, fizzyClient, migration, source, target, options) {
+  const { migrateComments, migrateAttachments } = options;
+  const basecampId = card.id.toString();
+
+  let fizzyCard;
+  try {
+    fizzyCard = await fizzyClient.getCard(target.accountSlug, cardNumber);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+    forgetMigratedCard(migration, basecampId, cardNumber);
+    return false;
+  }
+
+  // Fizzy re-renders descriptions, so compare the converted Basecamp source
+  // with the hash recorded when it was last sent
+  const descriptionHash = hashDescription(mappedCard.card.description);
+  const entry = findLedgerEntry(await loadCardLedger(), target.accountSlug, fizzyCard.id);
+  const links = rewriteKnownCardLinks(fizzyClient, migration, mappedCard.card.description, basecampId);
+  const changes = {};
+
+  if (mappedCard.card.title !== fizzyCard.title) {
+    changes.title = mappedCard.card.title;
+  }
+  if (descriptionHash !== entry?.description_hash) {
+    changes.description = links.html;
+  }
+  if (mappedCard.card.color && mappedCard.card.color !== fizzyCard.color) {
+    changes.color = mappedCard.card.color;
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await fizzyClient.updateCard(target.accountSlug, cardNumber, changes);
+    migration.metadata.cards_updated = (migration.metadata.cards_updated || 0) + 1;
+  } else {
+    migration.metadata.cards_unchanged = (migration.metadata.cards_unchanged || 0) + 1;
+  }
+
+  await recordLedgerEntry(target.accountSlug, fizzyCard, basecampId, target.boardId, descriptionHash);
+
+  if (links.unresolved.length > 0) {
+    markPendingLinks(migration, cardNumber, 'description');
+  }
+
+  await reconcileSteps(fizzyClient, fizzyCard, mappedCard.metadata.steps, migration, target);
+  await reconcileAssignees(fizzyClient, fizzyCard, mappedCard.metadata.assignee_ids, migration, target);
+  await reconcilePlacement(fizzyClient, fizzyCard, mappedCard.metadata, migration, target);
+
+  // Only comments that aren't in Fizzy yet are added
+  if (migrateComments && mappedCard.metadata.comments_count > 0) {
+    await migrateComments_forCard(card, fizzyCard, basecampClient, fizzyClient, migration, source, target, {
+      migrateAttachments,
+      scanExisting: true
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Make the steps on a Fizzy card match the mapped Basecamp steps
+ * Steps are matched by title: matches get their completed state fixed,
+ * missing steps are created and steps no longer in Basecamp are deleted.
+ */
+async function reconcileSteps(fizzyClient, fizzyCard, steps, migration, target) {
+  const cardNumber = fizzyCard.number;
+  let existing;
+
+  try {
+    existing = await fizzyClient.getSteps(target.accountSlug, cardNumber) || [];
+  } catch (error) {
+    addWarning(migration, `Failed to fetch steps for card ${cardNumber}`, { error: error.message });
+    return;
+  }
+
+  const unmatched = [...existing];
+
+  for (const step of steps) {
+    const index = unmatched.findIndex(candidate => (candidate.content || candidate.title) === step.title);
+
+    try {
+      if (index === -1) {
+        await createVerifiedStep(fizzyClient, fizzyCard, step, migration, target);
+        migration.metadata.steps_migrated++;
+        continue;
+      }
+
+      const [match] = unmatched.splice(index, 1);
+      if (!!match.completed !== step.completed) {
+        await fizzyClient.updateStep(target.accountSlug, cardNumber, match.id, { completed: step.completed });
+      }
+    } catch (error) {
+      addWarning(migration, `Failed to sync step "${step.title}" on card ${cardNumber}`, { error: error.message });
+    }
+  }
+
+  for (const step of unmatched) {
+    try {
+      await fizzyClient.deleteStep(target.accountSlug, cardNumber, step.id);
+    } catch (error) {
+      addWarning(migration, `Failed to remove step from card ${cardNumber}`, { error: error.message });
+    }
+  }
+}
+
+/**
+ * Make the assignees of a Fizzy card match the mapped Basecamp assignees
+ * Only people that are part of the user mapping are removed, so assignments
+ * made directly in Fizzy to anyone else are kept. The current assignees are
+ * fetched fresh; when Fizzy doesn't list them the card is left alone.
+ */
+async function reconcileAssignees(fizzyClient, fizzyCard, assigneeIds, migration, target) {
+  const cardNumber = fizzyCard.number;
+
+  // Assigning toggles, so acting on a wrong list would undo real assignments
+  let assignees;
+  try {
+    assignees = await fizzyClient.getCardAssignees(target.accountSlug, cardNumber);
+  } catch (error) {
+    addWarning(migration, `Failed to fetch assignees for card ${cardNumber}`, { error: error.message });
+    return;
+  }
+  if (!assignees) {
+    addWarning(migration, `Skipped assignees for card ${cardNumber}: Fizzy did not list its current assignees`);
+    return;
+  }
+
+  const current = assignees.map(assignee => assignee.id);
+  const mappedUsers = new Set(
+    Object.values(migration.user_mappings).map(mapping => mapping.fizzy_id).filter(Boolean)
+  );
+
+  for (const assigneeId of assigneeIds) {
+    if (current.includes(assigneeId)) continue;
+    try {
+      await fizzyClient.assignUser(target.accountSlug, cardNumber, assigneeId);
+    } catch (error) {
+      addWarning(migration, `Failed to assign user ${assigneeId} to card ${cardNumber}`, { error: error.message });
+    }
+  }
+
+  for (const assigneeId of current) {
+    if (assigneeIds.includes(assigneeId) || !mappedUsers.has(assigneeId)) continue;
+    try {
+      await fizzyClient.unassignUser(target.accountSlug, cardNumber, assigneeId);
+    } catch (error) {
+      addWarning(migration, `Failed to unassign user ${assigneeId} from card ${cardNumber}`, { error: error.message });
+    }
+  }
+}
+
+/**
+ * Move a previously migrated card to where the Basecamp card is now
+ */
+async function reconcilePlacement(fizzyClient, fizzyCard, metadata, migration, target) {
+  const cardNumber = fizzyCard.number;
+  const action = metadata.column_action;
+  const shouldBeClosed = metadata.completed || action?.type === 'close';
+
+  try {
+    if (shouldBeClosed) {
+      if (!fizzyCard.closed) {
+        await fizzyClient.closeCard(target.accountSlug, cardNumber);
+      }
+      return;
+    }
+
+    if (fizzyCard.closed) {
+      await fizzyClient.reopenCard(target.accountSlug, cardNumber);
+    }
+
+    const currentColumnId = fizzyCard.column?.id || null;
+
+    switch (action?.type) {
+      case 'triage_to_column':
+        if (action.target && action.target !== currentColumnId) {
+          await fizzyClient.triageCard(target.accountSlug, cardNumber, action.target);
+        }
+        break;
+
+      case 'not_now':
+        // A card in Maybe? has no column either, so only a postponed card stays put
+        if (!fizzyCard.postponed) {
+          await fizzyClient.notNowCard(target.accountSlug, cardNumber);
+        }
+        break;
+
+      case 'keep_triage':
+        if (currentColumnId) {
+          addWarning(migration, `Card ${cardNumber} is in a column but its Basecamp column maps to Maybe?`, {
+            fizzy_card_number: cardNumber
+          });
+        }
+        break;
+    }
+  } catch (error) {
+    addWarning(migration, `Failed to move card ${cardNumber}`, { error: error.message });
+  }
+}
+
+/**
+ * Create a step and make sure its completed state matches Basecamp
+ * Fizzy doesn't always apply the completed flag on create, so the created
+ * step is checked and corrected with updateStep. Each correction counts as
+ * checklist drift.
+ */
+async function createVerifiedStep(fizzyClient, fizzyCard, step, migration, target) {
+  const created = await fizzyClient.createStep(target.accountSlug, fizzyCard.number, {
+    title: step.title,
+    completed: step.completed
+  });
+
+  // Nothing to verify against if Fizzy didn't return the step
+  if (!created?.id || created.completed === undefined || !!created.completed === step.completed) {
+    return;
+  }
+
+  migration.metadata.checklist_drift = (migration.metadata.checklist_drift || 0) + 1;
+
+  const updated = await fizzyClient.updateStep(target.accountSlug, fizzyCard.number, created.id, {
+    completed: step.completed
+  });
+  const final = updated?.completed !== undefined
+    ? updated
+    : await fizzyClient.getStep(target.accountSlug, fizzyCard.number, created.id);
+
+  if (!!final?.completed !== step.completed) {
+    addWarning(migration, `Step "${step.title}" on card ${fizzyCard.number} is still ${final?.completed ? 'completed' : 'open'} after correction`, {
+      fizzy_card_number: fizzyCard.number,
+      step_id: created.id,
+      expected_completed: step.completed
+    });
+  }
+}
+
+/**
+ * Record step assignees according to the chosen strategy
+ * Title and card strategies are applied by mapCard; this posts the owners
+ * comment for the "comment" strategy and counts what was carried over.
+ */
+async function carryOverStepAssignees(fizzyClient, fizzyCard, assignments, migration, target, strategy) {
+  if (assignments.length === 0 || strategy === STEP_ASSIGNEE_STRATEGIES.NONE) {
+    return;
+  }
+
+  let carried = assignments.length;
+
+  if (strategy === STEP_ASSIGNEE_STRATEGIES.CARD) {
+    // Only mapped people can be assigned to the card
+    carried = assignments.filter(assignment => assignment.fizzy_id).length;
+  }
+
+  if (strategy === STEP_ASSIGNEE_STRATEGIES.COMMENT) {
+    try {
+      await fizzyClient.createComment(target.accountSlug, fizzyCard.number, {
+        body: buildStepOwnersComment(assignments)
+      });
+    } catch (error) {
+      addWarning(migration, `Failed to post step owners on card ${fizzyCard.number}`, { error: error.message });
+      return;
+    }
+  }
+
+  migration.metadata.step_assignees_carried = (migration.metadata.step_assignees_carried || 0) + carried;
 }
 
 /**
@@ -359,73 +1290,94 @@ async function placeCardInColumn(fizzyClient, fizzyCard, columnAction, target) {
 
 /**
  * Migrate comments for a card
+ * Each comment carries a hidden Basecamp comment ID marker. Comments listed in
+ * the card's checkpoint are skipped; with scanExisting, the Fizzy card's
+ * comments are scanned for markers first, so nothing already there is posted again.
  */
-async function migrateComments_forCard(basecampCard, fizzyCard, basecampClient, fizzyClient, migration, source, target) {
+async function migrateComments_forCard(basecampCard, fizzyCard, basecampClient, fizzyClient, migration, source, target, options = {}) {
+  const { migrateAttachments = false, scanExisting = false } = options;
+
   try {
     const comments = await basecampClient.getComments(source.projectId, basecampCard.id);
+    const checkpoint = getCommentCheckpoint(migration, basecampCard.id);
+    const posted = new Set(checkpoint.posted);
+    
+    const missing = comments.filter(comment => !posted.has(comment.id.toString()));
+    if (missing.length > 0 && scanExisting) {
+      for (const fizzyComment of await fizzyClient.getComments(target.accountSlug, fizzyCard.number) || []) {
+        const body = typeof fizzyComment.body === 'string' ? fizzyComment.body : fizzyComment.body?.html || '';
+        const commentId = extractBasecampCommentId(body);
+        if (commentId && !posted.has(commentId)) {
+          posted.add(commentId);
+          checkpoint.posted.push(commentId);
+        }
+      }
+    }
     
-    for (const comment of comments) {
+    for (let comment of comments) {
+      if (posted.has(comment.id.toString())) {
+        continue;
+      }
+
       try {
+        if (migrateAttachments && comment.content) {
+          comment = {
+            ...comment,
+            content: await transferAttachments(comment.content, {
+              basecampClient,
+              fizzyClient,
+              accountSlug: target.accountSlug,
+              migration,
+              cardId: basecampCard.id
+            })
+          };
+        }
+        
         const mappedComment = mapComment(comment, migration.user_mappings);
         await fizzyClient.createComment(target.accountSlug, fizzyCard.number, {
           body: mappedComment.body
         });
         migration.metadata.comments_migrated++;
+        posted.add(comment.id.toString());
+        checkpoint.posted.push(comment.id.toString());
+        
+        if (findBasecampCardLinks(mappedComment.body).length > 0) {
+          markPendingLinks(migration, fizzyCard.number, 'comments');
+        }
+        
+        for (const warning of mappedComment.conversion_warnings) {
+          addWarning(migration, `Comment on card ${fizzyCard.number}: ${warning.message}`, { card_id: basecampCard.id, comment_id: comment.id, ...warning });
+        }
       } catch (error) {
         addWarning(migration, `Failed to migrate comment for card ${fizzyCard.number}`, { error: error.message });
       }
     }
-  } catch (error) {
-    addWarning(migration, `Failed to fetch comments for card ${basecampCard.id}`, { error: error.message });
-  }
-}
-
-/**
- * Find existing migrated cards by scanning descriptions for basecamp ID markers
- */
-async function findExistingMigratedCards(fizzyClient, accountSlug, boardId) {
-  const existingCards = {};
-  
-  try {
-    // Fetch all cards from the board
-    const result = await fizzyClient.getCards(accountSlug, {
-      board_ids: [boardId]
-    });
     
-    if (result.data && result.data.length > 0) {
-      // Search for basecamp ID markers in descriptions
-      for (const card of result.data) {
-        if (card.description) {
-          // Look for format: #basecamp-id-{id}
-          const match = card.description.match(/#basecamp-id-(\d+)/);
-          if (match) {
-            const basecampId = match[1];
-            existingCards[basecampId] = card.number;
-          }
-        }
-      }
-    }
+    checkpoint.checked_at = new Date().toISOString();
   } catch (error) {
-    // If fetching cards fails, continue without existing card detection
-    logger.warn(`⚠ Could not scan for existing cards: ${error.message}`);
+    addWarning(migration, `Failed to fetch comments for card ${basecampCard.id}`, { error: error.message });
   }
-  
-  return existingCards;
 }
 
 /**
  * Phase 5: Finalization
+ * @param {Object} migration - Migration state
+ * @param {number} [failedBefore] - Failed cards from earlier runs, left out of the status
  */
-async function phase5_finalize(migration) {
-  const hasFailures = migration.progress.failed_cards > 0;
+async function phase5_finalize(migration, failedBefore = 0) {
+  const failures = Math.max(0, migration.progress.failed_cards - failedBefore);
+  const hasFailures = failures > 0;
   const status = hasFailures ? 'partial' : 'completed';
   
   completeMigration(migration, status);
   
   if (hasFailures) {
-    logger.warn(`\n⚠ Migration completed with ${migration.progress.failed_cards} failures`);
+    logger.warn(`\n⚠ Migration completed with ${failures} failures`);
     logger.info(`Run 'bf resume ${migration.migration_id}' to retry failed items\n`);
   } else {
     logger.success('\n✓ Migration completed successfully!\n');
+    if (migration.progress.failed_cards > 0) {
+      logger.info(`${migration.progress.failed_cards} cards failed in earlier runs (run 'bf resume ${migration.migration_id}' to retry them)\n`);
+    }
   }
 }
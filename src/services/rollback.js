@@ -0,0 +1,133 @@
+/**
+ * Rollback Service
+ * Removes what a migration created in Fizzy
+ */
+
+import * as logger from '../utils/logger.js';
+import { removeLedgerEntry } from '../state/card-ledger.js';
+
+/**
+ * Describe what a rollback would do
+ * @param {Object} migration - Migration state
+ * @param {Object} options - Rollback options
+ * @param {boolean} options.closeCards - Close cards instead of deleting them
+ * @param {boolean} options.deleteBoard - Delete the board if the migration created it
+ * @returns {Object} Plan with cards, columns, board_id and card_action
+ */
+export function planRollback(migration, options = {}) {
+  const created = migration.created_resources;
+  const deleteBoard = !!(options.deleteBoard && created.board_id);
+
+  // Deleting the board takes its cards and columns with it
+  if (deleteBoard) {
+    return { cards: [], columns: [], board_id: created.board_id, card_action: null };
+  }
+
+  return {
+    cards: created.cards.filter(card => !(options.closeCards && card.closed)),
+    columns: [...created.columns],
+    board_id: null,
+    card_action: options.closeCards ? 'close' : 'delete'
+  };
+}
+
+/**
+ * Roll back a migration
+ * Resources that were removed are dropped from the migration state, so a
+ * rollback that partly failed can simply be run again.
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state (updated in place)
+ * @param {Object} plan - Plan from planRollback
+ * @returns {Promise<Object>} Counts of done and failed items
+ */
+export async function runRollback(fizzyClient, migration, plan) {
+  const accountSlug = migration.target.account_slug;
+  const boardId = migration.target.board_id;
+  const created = migration.created_resources;
+  const results = { cards: 0, columns: 0, board: false, failed: 0 };
+
+  if (plan.board_id) {
+    try {
+      await fizzyClient.deleteBoard(accountSlug, plan.board_id);
+      logger.success(`  ✓ Deleted board ${migration.target.board_name || plan.board_id}`);
+      results.board = true;
+
+      for (const card of created.cards) {
+        await forgetCard(migration, card);
+      }
+      created.cards = [];
+      created.columns = [];
+      created.board_id = null;
+    } catch (error) {
+      results.failed++;
+      logger.error(`  ✗ Board ${plan.board_id}: ${error.message}`);
+    }
+  }
+
+  for (const card of plan.cards) {
+    try {
+      if (plan.card_action === 'close') {
+        await fizzyClient.closeCard(accountSlug, card.number);
+        card.closed = true;
+      } else {
+        await fizzyClient.deleteCard(accountSlug, card.number);
+        created.cards = created.cards.filter(other => other.number !== card.number);
+        await forgetCard(migration, card);
+      }
+      results.cards++;
+    } catch (error) {
+      results.failed++;
+      logger.error(`  ✗ Card ${card.number}: ${error.message}`);
+    }
+  }
+
+  if (plan.cards.length > 0) {
+    logger.success(`  ✓ ${plan.card_action === 'close' ? 'Closed' : 'Deleted'} ${results.cards} of ${plan.cards.length} cards`);
+  }
+
+  for (const columnId of plan.columns) {
+    try {
+      await fizzyClient.deleteColumn(accountSlug, boardId, columnId);
+      created.columns = created.columns.filter(other => other !== columnId);
+      results.columns++;
+    } catch (error) {
+      results.failed++;
+      logger.error(`  ✗ Column ${columnId}: ${error.message}`);
+    }
+  }
+
+  if (plan.columns.length > 0) {
+    logger.success(`  ✓ Deleted ${results.columns} of ${plan.columns.length} columns`);
+  }
+
+  migration.rollback = {
+    rolled_back_at: new Date().toISOString(),
+    card_action: plan.card_action,
+    board_deleted: results.board,
+    failed: results.failed
+  };
+  if (results.failed === 0) {
+    migration.status = 'rolled_back';
+  }
+
+  return results;
+}
+
+/**
+ * Remove a deleted card from everything that remembers it
+ */
+async function forgetCard(migration, card) {
+  for (const [basecampId, number] of Object.entries(migration.existing_cards)) {
+    if (number === card.number) {
+      delete migration.existing_cards[basecampId];
+      delete migration.comment_checkpoints?.[basecampId];
+    }
+  }
+
+  delete migration.pending_links?.[card.number];
+  delete migration.card_index?.cards?.[card.number];
+
+  if (card.id) {
+    await removeLedgerEntry(migration.target.account_slug, card.id);
+  }
+}
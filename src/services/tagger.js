@@ -0,0 +1,84 @@
+/**
+ * Tagger Service
+ * Adds tags to migrated cards, creating each new tag in Fizzy only once
+ */
+
+import { normalizeTagTitle } from '../mappers/tag-mapper.js';
+
+/**
+ * Create a tagger for a Fizzy account
+ * The account's tags are fetched once. Fizzy creates a tag the first time a
+ * card is tagged with a new title; while that is in flight, other cards
+ * wait for it instead of racing to create the same tag.
+ * @param {Object} fizzyClient - Fizzy client
+ * @param {string} accountSlug - Fizzy account slug
+ * @returns {Object} Tagger with tagCard(cardNumber, titles)
+ */
+export function createTagger(fizzyClient, accountSlug) {
+  let known = null;
+  const creating = new Map();
+
+  async function loadTags() {
+    if (!known) {
+      known = (async () => {
+        try {
+          const tags = await fizzyClient.getTags(accountSlug);
+          return new Set((tags || []).map(tag => normalizeTagTitle(tag.title || tag.name)));
+        } catch {
+          // Treat every tag as new; they're still created one at a time
+          return new Set();
+        }
+      })();
+    }
+    return known;
+  }
+
+  async function addTag(cardNumber, title) {
+    const tags = await loadTags();
+
+    if (!tags.has(title)) {
+      if (!creating.has(title)) {
+        const creation = fizzyClient.addTag(accountSlug, cardNumber, title).then(() => tags.add(title));
+        creating.set(title, creation);
+        try {
+          await creation;
+          return true;
+        } finally {
+          creating.delete(title);
+        }
+      }
+
+      // Someone else is creating it; tag this card once the tag exists
+      await creating.get(title).catch(() => {});
+    }
+
+    await fizzyClient.addTag(accountSlug, cardNumber, title);
+    return false;
+  }
+
+  return {
+    /**
+     * Tag a card
+     * @param {number} cardNumber - Fizzy card number
+     * @param {Array<string>} titles - Normalized tag titles
+     * @returns {Promise<Object>} Object with applied count, created (tags new to the account)
+     *   and failed ({ title, error })
+     */
+    async tagCard(cardNumber, titles) {
+      const result = { applied: 0, created: [], failed: [] };
+
+      for (const title of titles) {
+        try {
+          if (await addTag(cardNumber, title)) {
+            result.created.push(title);
+          }
+          result.applied++;
+        } catch (error) {
+          result.failed.push({ title, error });
+        }
+      }
+
+      return result;
+    }
+  };
+}
@@ -97,6 +97,50 @@ export async function mapUsers(basecampUsers, fizzyUsers, existingMappings = {},
   };
 }
 
+/**
+ * Apply fixed user mappings (e.g. from a plan file)
+ * Overrides are keyed by Basecamp user ID or email and point at a Fizzy user
+ * ID or email, or at null to leave the person unmapped.
+ * @param {Array} basecampUsers - Array of Basecamp user objects
+ * @param {Array} fizzyUsers - Array of Fizzy user objects
+ * @param {Object} overrides - Basecamp ID/email -> Fizzy ID/email or null
+ * @returns {Object} Object with mappings, skipped Basecamp IDs and unresolved override keys
+ */
+export function applyUserOverrides(basecampUsers, fizzyUsers, overrides = {}) {
+  const mappings = {};
+  const skipped = [];
+  const unresolved = [];
+
+  for (const [key, fizzyRef] of Object.entries(overrides)) {
+    const normalizedKey = key.toLowerCase().trim();
+    const bcUser = basecampUsers.find(user =>
+      user.id.toString() === key || user.email_address?.toLowerCase().trim() === normalizedKey
+    );
+
+    if (!bcUser) {
+      unresolved.push(key);
+      continue;
+    }
+
+    if (fizzyRef === null) {
+      skipped.push(bcUser.id.toString());
+      continue;
+    }
+
+    const fizzyUser = fizzyUsers.find(user => user.id?.toString() === fizzyRef.toString()) ||
+      findUserByEmail(fizzyRef.toString(), fizzyUsers);
+
+    if (!fizzyUser) {
+      unresolved.push(key);
+      continue;
+    }
+
+    mappings[bcUser.id.toString()] = createMapping(bcUser, fizzyUser);
+  }
+
+  return { mappings, skipped, unresolved };
+}
+
 /**
  * Find Fizzy user by email
  * @param {string} email - Email to search for
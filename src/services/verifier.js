@@ -0,0 +1,238 @@
+/**
+ * Verifier Service
+ * Compares a migrated Basecamp card table with the Fizzy board, card by card
+ */
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import * as logger from '../utils/logger.js';
+import { mapCard, PROVENANCE_MODES, CARD_OPTION_DEFAULTS } from '../mappers/card-mapper.js';
+import { getColumnSections, getSectionCards } from '../mappers/status-mapper.js';
+import { eachBoardCard, identifyCard } from './card-index.js';
+import { loadCardLedger } from '../state/card-ledger.js';
+import { runWithConcurrency } from '../utils/concurrency.js';
+
+/**
+ * Verify that every Basecamp card arrived in Fizzy as expected
+ * Checks, per card: it exists (once), title, column or closed state, step
+ * count and completion, assignees and (when comments were migrated) the
+ * number of migrated comments. People assigned in Fizzy on top of the
+ * mapped assignees are only noted, they don't fail the card.
+ * @param {Object} clients - API clients
+ * @param {Object} clients.basecampClient - Basecamp client
+ * @param {Object} clients.fizzyClient - Fizzy client
+ * @param {Object} migration - Migration state
+ * @returns {Promise<Object>} Object with results (one per card) and passed/failed counts
+ */
+export async function verifyMigration(clients, migration) {
+  const { basecampClient, fizzyClient } = clients;
+  const accountSlug = migration.target.account_slug;
+  const projectId = migration.source.project_id;
+
+  logger.info('Fetching Basecamp card table...');
+  const cardTable = await basecampClient.getCardTable(projectId, migration.source.cardtable_id);
+  const basecampCards = [];
+  for (const column of cardTable.lists || []) {
+    for (const section of getColumnSections(column)) {
+      const cards = await basecampClient.getAllCardsFromColumn(projectId, section.id);
+      basecampCards.push(...getSectionCards(cards, section, column));
+    }
+  }
+  logger.success(`✓ ${basecampCards.length} Basecamp cards`);
+
+  logger.info('Fetching Fizzy board...');
+  const { cardsByNumber, numbersByBasecampId } = await indexBoard(fizzyClient, accountSlug, migration.target.board_id);
+  logger.success(`✓ ${cardsByNumber.size} Fizzy cards\n`);
+
+  const results = [];
+  await runWithConcurrency(basecampCards, parseInt(migration.options.batch_size, 10) || 10, async (card) => {
+    results.push(await verifyCard(card, fizzyClient, migration, cardsByNumber, numbersByBasecampId));
+  });
+
+  // Report in Basecamp order, whatever order the workers finished in
+  const order = new Map(basecampCards.map((card, index) => [card.id, index]));
+  results.sort((a, b) => order.get(a.basecamp_id) - order.get(b.basecamp_id));
+
+  const passed = results.filter(result => result.passed).length;
+  return { results, passed, failed: results.length - passed };
+}
+
+/**
+ * Index every card on the board by number and by the Basecamp card it came from
+ * @returns {Promise<Object>} Object with cardsByNumber and numbersByBasecampId maps
+ */
+async function indexBoard(fizzyClient, accountSlug, boardId) {
+  const cardLedger = await loadCardLedger();
+  const cardsByNumber = new Map();
+  const numbersByBasecampId = new Map();
+
+  for await (const card of eachBoardCard(fizzyClient, accountSlug, boardId)) {
+    cardsByNumber.set(card.number, card);
+
+    const identity = identifyCard(card, cardLedger, accountSlug);
+    if (identity) {
+      const numbers = numbersByBasecampId.get(identity.basecamp_id) || [];
+      numbers.push(card.number);
+      numbersByBasecampId.set(identity.basecamp_id, numbers);
+    }
+  }
+
+  return { cardsByNumber, numbersByBasecampId };
+}
+
+/**
+ * Verify a single Basecamp card against its Fizzy copy
+ */
+async function verifyCard(card, fizzyClient, migration, cardsByNumber, numbersByBasecampId) {
+  const accountSlug = migration.target.account_slug;
+  const basecampId = card.id.toString();
+  const failures = [];
+  const notes = [];
+
+  const numbers = numbersByBasecampId.get(basecampId) || [];
+  const knownNumber = migration.existing_cards[basecampId];
+  const number = numbers.includes(knownNumber) ? knownNumber : numbers[0] || knownNumber;
+  const fizzyCard = cardsByNumber.get(number);
+
+  const result = {
+    basecamp_id: card.id,
+    title: card.title,
+    fizzy_card_number: fizzyCard ? number : null,
+    passed: false,
+    failures,
+    notes
+  };
+
+  if (!fizzyCard) {
+    failures.push('missing in Fizzy');
+    return result;
+  }
+
+  if (numbers.length > 1) {
+    failures.push(`duplicated as ${numbers.map(other => `#${other}`).join(', ')}`);
+  }
+
+  // Map the card the same way the migration did
+  const options = migration.options;
+  const expected = mapCard(card, {
+    userMappings: migration.user_mappings,
+    columnMappings: migration.column_mappings,
+    dueDates: options.due_dates || CARD_OPTION_DEFAULTS.dueDates,
+    stepAssignees: options.step_assignees || CARD_OPTION_DEFAULTS.stepAssignees,
+    provenance: PROVENANCE_MODES.NEVER
+  });
+
+  if (expected.card.title !== fizzyCard.title) {
+    failures.push(`title is "${fizzyCard.title}"`);
+  }
+
+  const placement = checkPlacement(fizzyCard, expected.metadata, migration);
+  if (placement) {
+    failures.push(placement);
+  }
+
+  const expectedAssignees = [...new Set(expected.metadata.assignee_ids)];
+  const actualAssignees = (fizzyCard.assignees || []).map(assignee => assignee.id);
+  const missingAssignees = expectedAssignees.filter(id => !actualAssignees.includes(id));
+  const extraAssignees = actualAssignees.filter(id => !expectedAssignees.includes(id));
+  if (missingAssignees.length > 0) {
+    failures.push(`${missingAssignees.length} of ${expectedAssignees.length} assignees missing`);
+  }
+  if (extraAssignees.length > 0) {
+    notes.push(`${extraAssignees.length} more assignees than in Basecamp`);
+  }
+
+  try {
+    const steps = await fizzyClient.getSteps(accountSlug, number) || [];
+    const expectedSteps = expected.metadata.steps;
+    const expectedCompleted = expectedSteps.filter(step => step.completed).length;
+    const actualCompleted = steps.filter(step => step.completed).length;
+
+    if (steps.length !== expectedSteps.length || actualCompleted !== expectedCompleted) {
+      failures.push(`steps ${actualCompleted}/${steps.length} done, expected ${expectedCompleted}/${expectedSteps.length}`);
+    }
+
+    if (options.migrate_comments) {
+      const comments = await fizzyClient.getComments(accountSlug, number) || [];
+      const migrated = comments.filter(comment => {
+        const body = typeof comment.body === 'string' ? comment.body : comment.body?.html || '';
+        return body.includes('#basecamp-comment-id-');
+      }).length;
+      const expectedComments = card.comments_count || 0;
+
+      if (migrated !== expectedComments) {
+        failures.push(`comments ${migrated}, expected ${expectedComments}`);
+      }
+    }
+  } catch (error) {
+    failures.push(`could not check steps and comments: ${error.message}`);
+  }
+
+  result.passed = failures.length === 0;
+  return result;
+}
+
+/**
+ * Check that a card is closed, postponed or in the column its Basecamp column maps to
+ * @returns {string|null} Failure message
+ */
+function checkPlacement(fizzyCard, metadata, migration) {
+  const action = metadata.column_action;
+  const columnId = fizzyCard.column?.id || null;
+  const columnName = fizzyCard.column?.name || fizzyCard.column?.title || columnId;
+
+  if (metadata.completed || action?.type === 'close') {
+    return fizzyCard.closed ? null : 'open, expected closed';
+  }
+
+  if (fizzyCard.closed) {
+    return 'closed, expected open';
+  }
+
+  switch (action?.type) {
+    case 'triage_to_column': {
+      if (columnId === action.target) return null;
+      const expectedName = (migration.column_actions || [])
+        .find(entry => entry.fizzy_column_id === action.target)?.fizzy_column_title || action.target;
+      return `in ${columnName || '"Maybe?"'}, expected ${expectedName}`;
+    }
+
+    case 'not_now':
+      if (columnId) return `in ${columnName}, expected "Not Now"`;
+      return fizzyCard.postponed === false ? 'in "Maybe?", expected "Not Now"' : null;
+
+    case 'keep_triage':
+      return columnId ? `in ${columnName}, expected "Maybe?"` : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render verification results as a terminal table
+ * @param {Array} results - Results from verifyMigration
+ * @returns {string} Table
+ */
+export function formatVerificationTable(results) {
+  const table = new Table({
+    head: ['Card', 'Fizzy', 'Result', 'Problems'].map(title => chalk.cyan(title)),
+    colWidths: [36, 8, 8, 50],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+
+  for (const result of results) {
+    table.push([
+      result.title,
+      result.fizzy_card_number ? `#${result.fizzy_card_number}` : '',
+      result.passed ? chalk.green('pass') : chalk.red('fail'),
+      [...result.failures, ...result.notes.map(note => chalk.gray(note))].join('\n')
+    ]);
+  }
+
+  return table.toString();
+}
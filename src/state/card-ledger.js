@@ -0,0 +1,120 @@
+/**
+ * Card Ledger
+ * Local record of which Fizzy card was migrated from which Basecamp card
+ *
+ * The ledger lives next to the migration states but outside them, so it keeps
+ * identifying cards when a state file is deleted or a card's description
+ * marker is edited away in Fizzy.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigDir } from '../config/config-manager.js';
+import { createSerialQueue } from '../utils/concurrency.js';
+
+const LEDGER_FILE = path.join(getConfigDir(), 'card-ledger.json');
+
+// Ledger contents, loaded once per process: account_slug -> fizzy_card_id -> entry
+let ledger = null;
+// The load in flight, shared by concurrent callers so they all get one object
+let ledgerPromise = null;
+
+const writeLedger = createSerialQueue(async () => {
+  await fs.mkdir(getConfigDir(), { recursive: true });
+  await fs.writeFile(LEDGER_FILE, JSON.stringify(ledger, null, 2));
+});
+
+/**
+ * Load the card ledger
+ * @returns {Promise<Object>} Ledger (account_slug -> fizzy_card_id -> entry)
+ */
+export function loadCardLedger() {
+  ledgerPromise ??= readLedger().catch(error => {
+    // Let the next caller try again
+    ledgerPromise = null;
+    throw error;
+  });
+
+  return ledgerPromise;
+}
+
+/**
+ * Read the ledger file (an empty ledger when there is none yet)
+ */
+async function readLedger() {
+  try {
+    ledger = JSON.parse(await fs.readFile(LEDGER_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    ledger = {};
+  }
+
+  return ledger;
+}
+
+/**
+ * Look up the Basecamp card a Fizzy card was migrated from
+ * @param {Object} cardLedger - Ledger from loadCardLedger
+ * @param {string} accountSlug - Fizzy account slug
+ * @param {string} fizzyCardId - Fizzy card ID
+ * @returns {Object|null} Entry with number, board_id and basecamp_id
+ */
+export function findLedgerEntry(cardLedger, accountSlug, fizzyCardId) {
+  return cardLedger[accountSlug]?.[fizzyCardId] || null;
+}
+
+/**
+ * Hash the converted description of a card
+ * Fizzy returns descriptions re-rendered, so updates compare this hash of what
+ * was sent instead of what comes back.
+ * @param {string} description - Converted description HTML
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashDescription(description) {
+  return crypto.createHash('sha256').update(description || '').digest('hex');
+}
+
+/**
+ * Record that a Fizzy card was migrated from a Basecamp card
+ * @param {string} accountSlug - Fizzy account slug
+ * @param {Object} fizzyCard - Fizzy card (id and number)
+ * @param {string} basecampId - Basecamp card ID
+ * @param {string} boardId - Fizzy board ID
+ * @param {string} [descriptionHash] - hashDescription of the description sent
+ *   (kept from the previous entry when omitted)
+ */
+export async function recordLedgerEntry(accountSlug, fizzyCard, basecampId, boardId, descriptionHash) {
+  await loadCardLedger();
+
+  if (!ledger[accountSlug]) {
+    ledger[accountSlug] = {};
+  }
+
+  const previous = ledger[accountSlug][fizzyCard.id];
+  ledger[accountSlug][fizzyCard.id] = {
+    number: fizzyCard.number,
+    board_id: boardId,
+    basecamp_id: basecampId.toString(),
+    description_hash: descriptionHash || previous?.description_hash || null,
+    recorded_at: new Date().toISOString()
+  };
+
+  await writeLedger();
+}
+
+/**
+ * Forget a Fizzy card, e.g. after it was deleted
+ * @param {string} accountSlug - Fizzy account slug
+ * @param {string} fizzyCardId - Fizzy card ID
+ */
+export async function removeLedgerEntry(accountSlug, fizzyCardId) {
+  await loadCardLedger();
+
+  if (ledger[accountSlug]?.[fizzyCardId]) {
+    delete ledger[accountSlug][fizzyCardId];
+    await writeLedger();
+  }
+}
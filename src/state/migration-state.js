@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { getConfigDir } from '../config/config-manager.js';
+import { CARD_OPTION_DEFAULTS } from '../mappers/card-mapper.js';
 
 const MIGRATIONS_DIR = path.join(getConfigDir(), 'migrations');
 
@@ -36,9 +37,27 @@ export function createMigrationState(options) {
     boardName,
     totalCards,
     migrateComments,
+    migrateAttachments,
     updateExisting,
     dryRun,
-    batchSize
+    batchSize,
+    skipUserMapping,
+    dueDates,
+    stepAssignees,
+    provenance,
+    provenancePosition,
+    identityTag,
+    interactiveColumns,
+    columnOverrides,
+    columnPreset,
+    userOverrides,
+    columnSynonyms,
+    columnOrder,
+    recolorColumns,
+    onHold,
+    colorPalette,
+    tagRules,
+    createdBoard
   } = options;
 
   const migrationId = `mig_${Date.now()}`;
@@ -67,9 +86,26 @@ export function createMigrationState(options) {
     
     options: {
       migrate_comments: migrateComments || false,
+      migrate_attachments: migrateAttachments !== false,
       update_existing: updateExisting || false,
       dry_run: dryRun || false,
-      batch_size: batchSize || 10
+      batch_size: batchSize || 10,
+      skip_user_mapping: skipUserMapping || false,
+      due_dates: dueDates || CARD_OPTION_DEFAULTS.dueDates,
+      step_assignees: stepAssignees || CARD_OPTION_DEFAULTS.stepAssignees,
+      provenance: provenance || CARD_OPTION_DEFAULTS.provenance,
+      provenance_position: provenancePosition || CARD_OPTION_DEFAULTS.provenancePosition,
+      identity_tag: identityTag || false,
+      interactive_columns: interactiveColumns || false,
+      column_overrides: columnOverrides || {},  // Choices from a plan file, keyed by Basecamp column ID or name
+      column_preset: columnPreset || {},        // Saved choices for this card table, keyed by Basecamp column ID
+      user_overrides: userOverrides || {},      // Basecamp ID/email -> Fizzy ID/email or null (from a plan file)
+      column_synonyms: columnSynonyms || [],    // Extra groups of column names that mean the same
+      column_order: columnOrder || false,       // Put Fizzy columns in the Basecamp column order
+      recolor_columns: recolorColumns || false, // Copy Basecamp column colors to matched Fizzy columns
+      on_hold: onHold || 'tag',                 // What happens to cards in "On hold" sections
+      color_palette: colorPalette || {},        // Basecamp color -> Fizzy color overrides for the account
+      tag_rules: tagRules || {}                 // Tags added to migrated cards (see tag-mapper.js)
     },
     
     progress: {
@@ -82,14 +118,49 @@ export function createMigrationState(options) {
     
     metadata: {
       comments_migrated: 0,
+      attachments_migrated: 0,
+      links_rewritten: 0,
+      links_unresolved: 0,
+      cards_updated: 0,
+      cards_unchanged: 0,
       steps_migrated: 0,
+      checklist_drift: 0,
+      cards_with_due_dates: 0,
+      steps_with_due_dates: 0,
+      step_assignees_carried: 0,
+      cards_with_provenance: 0,
       columns_created: 0,
+      columns_reordered: 0,
+      columns_recolored: 0,
+      cards_on_hold: 0,
+      tags_applied: 0,
+      tags_created: 0,
       users_mapped: 0
     },
     
     user_mappings: {},
     column_mappings: {},
+    column_choices: {},  // Map of basecamp_column_id -> column choice (saved as a preset)
+    column_layout: null, // Columns moved or recolored to match Basecamp: { reordered, recolored }
     existing_cards: {},  // Map of basecamp_id -> fizzy_card_number
+    attachments: {},     // Map of basecamp_file_url -> uploaded Fizzy file
+    pending_links: {},   // Map of fizzy_card_number -> { description, comments } still linking to Basecamp
+    comment_checkpoints: {}, // Map of basecamp_card_id -> { posted: [basecamp_comment_id], checked_at }
+    card_index: null,    // Cards found on the target board: { board_id, scanned_at, cards, last_scan }
+    dry_run_plan: [],    // Per-card plan of a dry run (see dry-run-report.js)
+    created_resources: {     // What this migration created in Fizzy (used by bf rollback)
+      board_id: createdBoard ? boardId : null,
+      columns: [],           // Fizzy column IDs
+      cards: []              // { id, number } of Fizzy cards
+    },
+    
+    completed_phases: [],  // Phases whose results are stored in this state
+    processed_cards: {},   // Map of basecamp_column_id -> Basecamp card IDs already processed
+    cards_in_progress: [], // Basecamp card IDs started but not finished (may exist half-migrated in Fizzy)
+    sync: {
+      high_water_marks: {},  // Map of basecamp_cardtable_id -> latest Basecamp updated_at synced
+      current: null          // { since, started_at } while a bf sync run is in progress
+    },
     
     failed_items: [],
     warnings: []
@@ -121,6 +192,31 @@ export async function loadMigrationState(migrationId) {
   return JSON.parse(data);
 }
 
+/**
+ * Load the full state of every saved migration
+ * @returns {Promise<Array>} Array of migration state objects
+ */
+export async function loadAllMigrationStates() {
+  await ensureMigrationsDir();
+  
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+  
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    
+    try {
+      const data = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf-8');
+      migrations.push(JSON.parse(data));
+    } catch (error) {
+      // Skip invalid files
+      continue;
+    }
+  }
+  
+  return migrations;
+}
+
 /**
  * List all migrations
  * @returns {Promise<Array>} Array of migration metadata
@@ -174,6 +270,142 @@ export function updateProgress(migration, updates) {
   };
 }
 
+/**
+ * Record that a phase has finished and its results are stored in the state
+ * @param {Object} migration - Migration state
+ * @param {string} phase - Phase name ('discovery', 'column_mapping', 'user_mapping', 'card_migration')
+ */
+export function markPhaseCompleted(migration, phase) {
+  if (!migration.completed_phases) {
+    migration.completed_phases = [];
+  }
+  if (!migration.completed_phases.includes(phase)) {
+    migration.completed_phases.push(phase);
+  }
+}
+
+/**
+ * Check whether a phase has already finished
+ * @param {Object} migration - Migration state
+ * @param {string} phase - Phase name
+ * @returns {boolean} True if the phase is recorded as completed
+ */
+export function isPhaseCompleted(migration, phase) {
+  return (migration.completed_phases || []).includes(phase);
+}
+
+/**
+ * Get the Basecamp cards already processed in a column
+ * Resuming by ID keeps working when cards were added, removed or reordered
+ * in Basecamp since the run stopped.
+ * @param {Object} migration - Migration state
+ * @param {string|number} columnId - Basecamp column ID
+ * @returns {Set<string>} Basecamp card IDs
+ */
+export function getProcessedCards(migration, columnId) {
+  return new Set(migration.processed_cards?.[columnId] || []);
+}
+
+/**
+ * Record that a card is about to be migrated
+ * Saved before the card is created, so a card left half-migrated by a crash
+ * can be told apart from one finished in an earlier run.
+ * @param {Object} migration - Migration state
+ * @param {string|number} cardId - Basecamp card ID
+ */
+export function markCardStarted(migration, cardId) {
+  if (!migration.cards_in_progress) {
+    migration.cards_in_progress = [];
+  }
+  if (!migration.cards_in_progress.includes(cardId.toString())) {
+    migration.cards_in_progress.push(cardId.toString());
+  }
+}
+
+/**
+ * Check if a card was started but never finished
+ * @param {Object} migration - Migration state
+ * @param {string|number} cardId - Basecamp card ID
+ * @returns {boolean}
+ */
+export function isCardInProgress(migration, cardId) {
+  return (migration.cards_in_progress || []).includes(cardId.toString());
+}
+
+/**
+ * Record that a card in a column was processed (migrated, skipped or failed)
+ * @param {Object} migration - Migration state
+ * @param {string|number} columnId - Basecamp column ID
+ * @param {string|number} cardId - Basecamp card ID
+ */
+export function markCardProcessed(migration, columnId, cardId) {
+  if (!migration.processed_cards) {
+    migration.processed_cards = {};
+  }
+  if (!migration.processed_cards[columnId]) {
+    migration.processed_cards[columnId] = [];
+  }
+  migration.processed_cards[columnId].push(cardId.toString());
+  migration.cards_in_progress = (migration.cards_in_progress || []).filter(id => id !== cardId.toString());
+}
+
+/**
+ * Record a Fizzy resource created by the migration
+ * @param {Object} migration - Migration state
+ * @param {string} type - 'columns' (column ID) or 'cards' ({ id, number })
+ * @param {string|Object} resource - Resource to record
+ */
+export function recordCreatedResource(migration, type, resource) {
+  if (!migration.created_resources) {
+    migration.created_resources = { board_id: null, columns: [], cards: [] };
+  }
+  migration.created_resources[type].push(resource);
+}
+
+/**
+ * Get the comment checkpoint for a card
+ * The checkpoint lists the Basecamp comments known to be in Fizzy and is
+ * stored in the migration state, so it can be updated in place.
+ * @param {Object} migration - Migration state
+ * @param {string|number} basecampCardId - Basecamp card ID
+ * @returns {Object} Checkpoint with posted comment IDs and checked_at
+ */
+export function getCommentCheckpoint(migration, basecampCardId) {
+  if (!migration.comment_checkpoints) {
+    migration.comment_checkpoints = {};
+  }
+  if (!migration.comment_checkpoints[basecampCardId]) {
+    migration.comment_checkpoints[basecampCardId] = { posted: [], checked_at: null };
+  }
+  return migration.comment_checkpoints[basecampCardId];
+}
+
+/**
+ * Get the sync high-water mark for a card table
+ * @param {Object} migration - Migration state
+ * @param {string|number} cardTableId - Basecamp card table ID
+ * @returns {string|null} Latest Basecamp updated_at already synced
+ */
+export function getSyncMark(migration, cardTableId) {
+  return migration.sync?.high_water_marks?.[cardTableId] || null;
+}
+
+/**
+ * Advance the sync high-water mark for a card table
+ * @param {Object} migration - Migration state
+ * @param {string|number} cardTableId - Basecamp card table ID
+ * @param {string} updatedAt - Latest Basecamp updated_at that was synced
+ */
+export function setSyncMark(migration, cardTableId, updatedAt) {
+  if (!migration.sync) {
+    migration.sync = { high_water_marks: {}, current: null };
+  }
+  if (!migration.sync.high_water_marks) {
+    migration.sync.high_water_marks = {};
+  }
+  migration.sync.high_water_marks[cardTableId] = updatedAt;
+}
+
 /**
  * Mark migration as completed
  * @param {Object} migration - Migration state
@@ -202,6 +434,27 @@ export function addFailedItem(migration, type, item, error) {
   });
 }
 
+/**
+ * Remove a failed item from the migration state (e.g. after a successful retry)
+ * @param {Object} migration - Migration state
+ * @param {string} type - Item type ('card', 'comment', 'step')
+ * @param {string|number} basecampId - Basecamp ID of the item
+ * @returns {boolean} True if an item was removed
+ */
+export function removeFailedItem(migration, type, basecampId) {
+  const id = basecampId.toString();
+  const index = migration.failed_items.findIndex(item =>
+    item.type === type && item.basecamp_id?.toString() === id
+  );
+
+  if (index === -1) {
+    return false;
+  }
+
+  migration.failed_items.splice(index, 1);
+  return true;
+}
+
 /**
  * Add a warning to the migration state
  * @param {Object} migration - Migration state
@@ -236,6 +489,10 @@ export function getMigrationSummary(migration) {
   
   summary += `Migration ID: ${migration.migration_id}\n`;
   summary += `Status: ${migration.status}\n`;
+  const syncMark = getSyncMark(migration, migration.source.cardtable_id);
+  if (syncMark) {
+    summary += `Synced Up To: ${syncMark}\n`;
+  }
   summary += `Duration: ${minutes}m ${seconds}s\n\n`;
   
   summary += `Source: ${migration.source.project_name}\n`;
@@ -260,8 +517,31 @@ export function getMigrationSummary(migration) {
   
   const m = migration.metadata;
   summary += `Comments Migrated: ${m.comments_migrated}\n`;
-  summary += `Steps Migrated: ${m.steps_migrated}\n`;
+  summary += `Attachments Migrated: ${m.attachments_migrated || 0}\n`;
+  summary += `Card Links Rewritten: ${m.links_rewritten || 0}`;
+  summary += m.links_unresolved ? ` (${m.links_unresolved} unresolved)\n` : '\n';
+  if (migration.options.update_existing) {
+    summary += `Cards Updated: ${m.cards_updated || 0} (${m.cards_unchanged || 0} unchanged)\n`;
+  }
+  summary += `Steps Migrated: ${m.steps_migrated}`;
+  summary += m.checklist_drift ? ` (${m.checklist_drift} completion states corrected)\n` : '\n';
+  summary += `Due Dates: ${m.cards_with_due_dates || 0} cards, ${m.steps_with_due_dates || 0} steps`;
+  summary += migration.options.due_dates === 'none' ? ' (not carried over)\n' : '\n';
+  summary += `Step Assignees Carried Over: ${m.step_assignees_carried || 0} (${migration.options.step_assignees || 'none'})\n`;
+  summary += `Cards With Provenance Note: ${m.cards_with_provenance || 0} (${migration.options.provenance || 'never'})\n`;
+  if (m.cards_backdated || m.cards_not_backdated) {
+    summary += `Cards Backdated: ${m.cards_backdated || 0}`;
+    summary += m.cards_not_backdated ? ` (${m.cards_not_backdated} kept the migration date)\n` : '\n';
+  }
+  if (m.cards_on_hold) {
+    summary += `Cards On Hold: ${m.cards_on_hold} (${migration.options.on_hold || 'keep'})\n`;
+  }
+  summary += `Tags Applied: ${m.tags_applied || 0}`;
+  summary += m.tags_created ? ` (${m.tags_created} new tags)\n` : '\n';
   summary += `Columns Created: ${m.columns_created}\n`;
+  if (m.columns_reordered || m.columns_recolored) {
+    summary += `Columns Reordered: ${m.columns_reordered || 0}, Recolored: ${m.columns_recolored || 0}\n`;
+  }
   summary += `Users Mapped: ${m.users_mapped}\n\n`;
   
   if (migration.warnings.length > 0) {
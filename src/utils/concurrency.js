@@ -0,0 +1,43 @@
+/**
+ * Concurrency utilities
+ */
+
+/**
+ * Run an async worker over a list of items with a bounded number in flight
+ * Items are started in order, but may finish out of order.
+ * The worker should handle its own errors; a thrown error rejects the pool.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @returns {Promise<void>}
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: limit }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+/**
+ * Create a function that serializes calls to an async task
+ * Useful when several workers want to persist shared state to the same file.
+ * A failed call rejects only its own promise; later calls still run.
+ * @param {Function} task - Async function to serialize
+ * @returns {Function} Function returning a promise that resolves after the queued call
+ */
+export function createSerialQueue(task) {
+  let queue = Promise.resolve();
+
+  return (...args) => {
+    const run = queue.then(() => task(...args));
+    queue = run.catch(() => {});
+    return run;
+  };
+}
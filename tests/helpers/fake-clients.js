@@ -0,0 +1,184 @@
+/**
+ * In-memory Basecamp and Fizzy clients for migration tests
+ * Only the calls the migration services make are implemented.
+ */
+
+/**
+ * Create a Basecamp client serving one card table
+ * @param {Object} data - Project data
+ * @param {Object} data.cardTable - Card table with its lists (columns)
+ * @param {Object} data.cards - Map of Basecamp column ID -> cards
+ * @param {Object} [data.comments] - Map of Basecamp card ID -> comments
+ * @param {Array} [data.people] - Project members
+ */
+export function createFakeBasecamp({ cardTable, cards, comments = {}, people = [] }) {
+  return {
+    async getCardTable() {
+      return cardTable;
+    },
+    async getProject(projectId) {
+      return { id: projectId, name: 'Project' };
+    },
+    async getAllCardsFromColumn(projectId, columnId) {
+      return cards[columnId] || [];
+    },
+    async getCard(projectId, cardId) {
+      return Object.values(cards).flat().find(card => card.id.toString() === cardId.toString());
+    },
+    async getComments(projectId, cardId) {
+      return comments[cardId] || [];
+    },
+    async getPeople() {
+      return people;
+    }
+  };
+}
+
+/**
+ * Create the contents of a Fizzy board, shared by the clients of several runs
+ * @param {Object} [options] - Board options
+ * @param {Array} [options.columns] - Existing columns ({ id, name })
+ * @param {Array} [options.users] - Account users
+ */
+export function createFakeBoard({ columns = [], users = [] } = {}) {
+  return {
+    columns: columns.map(column => ({ ...column })),
+    users,
+    cards: [],
+    tags: []
+  };
+}
+
+/**
+ * Create a Fizzy client working on a fake board
+ * @param {Object} board - Board from createFakeBoard
+ * @param {Object} [hooks] - Test hooks
+ * @param {Function} [hooks.afterCreateCard] - Called with each created card;
+ *   return a promise that never settles to stop the run there
+ */
+export function createFakeFizzy(board, hooks = {}) {
+  const findCard = number => {
+    const card = board.cards.find(candidate => candidate.number === Number(number));
+    if (!card) {
+      throw Object.assign(new Error(`Card ${number} not found`), { statusCode: 404 });
+    }
+    return card;
+  };
+  // Cards as the API returns them (assignees are user objects)
+  const view = card => ({ ...card, assignees: card.assignees.map(id => ({ id })) });
+  let nextId = 1;
+
+  return {
+    async getBoard(accountSlug, boardId) {
+      return { id: boardId, name: 'Board' };
+    },
+    async getColumns() {
+      return board.columns.map(column => ({ ...column }));
+    },
+    async createColumn(accountSlug, boardId, data) {
+      const column = { id: `column-${nextId++}`, name: data.name, color: data.color };
+      board.columns.push(column);
+      return column;
+    },
+    async moveColumn(accountSlug, columnId, direction) {
+      const index = board.columns.findIndex(column => column.id === columnId);
+      const swap = direction === 'left' ? index - 1 : index + 1;
+      [board.columns[index], board.columns[swap]] = [board.columns[swap], board.columns[index]];
+    },
+    async updateColumn(accountSlug, boardId, columnId, data) {
+      Object.assign(board.columns.find(column => column.id === columnId), data);
+    },
+    async getUsers() {
+      return board.users;
+    },
+    async getTags() {
+      return board.tags.map(title => ({ title }));
+    },
+    async *paginateCards() {
+      yield board.cards.map(view);
+    },
+    async getCard(accountSlug, number) {
+      return view(findCard(number));
+    },
+    getCardUrl(accountSlug, number) {
+      return `https://fizzy.test/${accountSlug}/cards/${number}`;
+    },
+    async createCard(accountSlug, boardId, data) {
+      const card = {
+        ...data,
+        id: `card-${nextId++}`,
+        number: board.cards.length + 1,
+        column: null,
+        closed: false,
+        postponed: false,
+        steps: [],
+        comments: [],
+        assignees: [],
+        tags: []
+      };
+      board.cards.push(card);
+      await hooks.afterCreateCard?.(card);
+      return view(card);
+    },
+    async updateCard(accountSlug, number, data) {
+      Object.assign(findCard(number), data);
+    },
+    async triageCard(accountSlug, number, columnId) {
+      Object.assign(findCard(number), { column: { id: columnId }, postponed: false });
+    },
+    async notNowCard(accountSlug, number) {
+      Object.assign(findCard(number), { column: null, postponed: true });
+    },
+    async closeCard(accountSlug, number) {
+      findCard(number).closed = true;
+    },
+    async reopenCard(accountSlug, number) {
+      findCard(number).closed = false;
+    },
+    async addTag(accountSlug, number, title) {
+      findCard(number).tags.push(title);
+      if (!board.tags.includes(title)) {
+        board.tags.push(title);
+      }
+    },
+    async getCardAssignees(accountSlug, number) {
+      return findCard(number).assignees.map(id => ({ id }));
+    },
+    async assignUser(accountSlug, number, userId) {
+      findCard(number).assignees.push(userId);
+    },
+    async unassignUser(accountSlug, number, userId) {
+      const card = findCard(number);
+      card.assignees = card.assignees.filter(id => id !== userId);
+    },
+    async getSteps(accountSlug, number) {
+      return findCard(number).steps.map(step => ({ ...step }));
+    },
+    async getStep(accountSlug, number, stepId) {
+      return { ...findCard(number).steps.find(step => step.id === stepId) };
+    },
+    async createStep(accountSlug, number, data) {
+      const step = { id: `step-${nextId++}`, content: data.title, completed: data.completed };
+      findCard(number).steps.push(step);
+      return { ...step };
+    },
+    async updateStep(accountSlug, number, stepId, data) {
+      Object.assign(findCard(number).steps.find(step => step.id === stepId), data);
+    },
+    async deleteStep(accountSlug, number, stepId) {
+      const card = findCard(number);
+      card.steps = card.steps.filter(step => step.id !== stepId);
+    },
+    async getComments(accountSlug, number) {
+      return findCard(number).comments.map(comment => ({ ...comment }));
+    },
+    async createComment(accountSlug, number, data) {
+      const comment = { id: `comment-${nextId++}`, body: data.body };
+      findCard(number).comments.push(comment);
+      return { ...comment };
+    },
+    async updateComment(accountSlug, number, commentId, data) {
+      Object.assign(findCard(number).comments.find(comment => comment.id === commentId), data);
+    }
+  };
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { identifyCard, IDENTITY_METHODS } from '../../src/services/card-index.js';
+
+const accountSlug = '/acme';
+const ledger = { [accountSlug]: { 'card-1': { number: 1, board_id: 'board-1', basecamp_id: '400' } } };
+
+describe('identifyCard', () => {
+  it('prefers the hidden marker', () => {
+    const card = {
+      id: 'card-1',
+      description: '<p>#basecamp-id-200</p><a href="#basecamp-id-100"></a>',
+      tags: ['basecamp-300']
+    };
+
+    expect(identifyCard(card, ledger, accountSlug)).toEqual({ basecamp_id: '100', method: IDENTITY_METHODS.HIDDEN });
+  });
+
+  it('falls back to the visible marker, then the identity tag, then the ledger', () => {
+    const tags = [{ title: 'bug' }, { title: 'basecamp-300' }];
+
+    expect(identifyCard({ id: 'card-1', description_html: '<p>#basecamp-id-200</p>', tags }, ledger, accountSlug))
+      .toEqual({ basecamp_id: '200', method: IDENTITY_METHODS.VISIBLE });
+    expect(identifyCard({ id: 'card-1', description: '<p>Edited</p>', tags }, ledger, accountSlug))
+      .toEqual({ basecamp_id: '300', method: IDENTITY_METHODS.TAG });
+    expect(identifyCard({ id: 'card-1', description: '<p>Edited</p>', tags: ['basecamp-x'] }, ledger, accountSlug))
+      .toEqual({ basecamp_id: '400', method: IDENTITY_METHODS.LEDGER });
+  });
+
+  it('only uses ledger entries of the same account', () => {
+    expect(identifyCard({ id: 'card-1', description: '' }, ledger, '/other')).toBeNull();
+    expect(identifyCard({ id: 'card-2', description: '' }, ledger, accountSlug)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { mapCard } from '../../src/mappers/card-mapper.js';
+import { buildColorPalette } from '../../src/mappers/status-mapper.js';
+
+const card = { id: 42, title: 'Card', content: '<div>Body</div>', parent: { id: 7, title: 'Doing' } };
+
+describe('mapCard colors', () => {
+  it('maps a Basecamp card color through the palette', () => {
+    const mapped = mapCard({ ...card, color: 'Red' }, { colorPalette: buildColorPalette({ red: 'var(--color-card-6)' }) });
+
+    expect(mapped.card.color).toBe('var(--color-card-6)');
+    expect(mapped.metadata.unknown_color).toBeNull();
+  });
+
+  it('uses the default color for an unknown Basecamp color', () => {
+    const mapped = mapCard({ ...card, color: 'teal' }, {});
+
+    expect(mapped.card.color).toBe('var(--color-card-default)');
+    expect(mapped.metadata.unknown_color).toBe('teal');
+  });
+
+  it('leaves cards without a color alone', () => {
+    const mapped = mapCard(card, {});
+
+    expect(mapped.card).not.toHaveProperty('color');
+    expect(mapped.metadata.unknown_color).toBeNull();
+  });
+});
+
+describe('mapCard defaults', () => {
+  const creator = { id: 9, name: 'Jane Doe', email_address: 'jane@example.com' };
+  const withSteps = {
+    ...card,
+    creator,
+    created_at: '2024-03-12T14:05:00Z',
+    steps: [{ title: 'Write spec', completed: false, assignees: [creator] }]
+  };
+
+  it('adds no step owners or provenance note unless asked to', () => {
+    const mapped = mapCard(withSteps, {});
+
+    expect(mapped.metadata.steps).toEqual([{ title: 'Write spec', completed: false }]);
+    expect(mapped.metadata.has_provenance).toBe(false);
+    expect(mapped.card.description).not.toContain('Created by');
+  });
+
+  it('adds them when the options are set', () => {
+    const mapped = mapCard(withSteps, { stepAssignees: 'title', provenance: 'unmapped' });
+
+    expect(mapped.metadata.steps[0].title).toBe('Write spec (@Jane Doe)');
+    expect(mapped.metadata.has_provenance).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { mapColumns } from '../../src/services/column-mapper.js';
+import { BASECAMP_COLUMN_TYPES, FIZZY_ACTIONS } from '../../src/mappers/status-mapper.js';
+import { createFakeBoard, createFakeFizzy } from '../helpers/fake-clients.js';
+
+vi.mock('../../src/utils/logger.js');
+
+const column = (id, title, type = BASECAMP_COLUMN_TYPES.REGULAR) => ({ id, title, type, color: 'blue' });
+
+/**
+ * Map Basecamp columns onto a board with the given Fizzy columns
+ */
+async function map(basecampColumns, fizzyColumns, options = {}) {
+  const board = createFakeBoard({ columns: fizzyColumns });
+  const fizzyClient = createFakeFizzy(board);
+  const result = await mapColumns(basecampColumns, await fizzyClient.getColumns(), fizzyClient, 'acme', 'board-1', options);
+  return { board, result };
+}
+
+describe('mapColumns', () => {
+  it('maps columns by name, ignoring case, emoji and plurals', async () => {
+    const { result } = await map(
+      [column(1, '🐛 bugs'), column(2, 'Design')],
+      [{ id: 'f-bug', name: 'Bug' }, { id: 'f-design', name: 'design' }]
+    );
+
+    expect(result.mappings[1]).toEqual({ type: FIZZY_ACTIONS.TRIAGE_TO_COLUMN, target: 'f-bug' });
+    expect(result.mappings[2]).toEqual({ type: FIZZY_ACTIONS.TRIAGE_TO_COLUMN, target: 'f-design' });
+    expect(result.created).toEqual([]);
+  });
+
+  it('maps synonyms', async () => {
+    const { result } = await map([column(1, 'Doing')], [{ id: 'f-progress', name: 'In progress' }]);
+
+    expect(result.mappings[1].target).toBe('f-progress');
+    expect(result.actions[0].confidence).toBe(0.9);
+  });
+
+  it('places cards of special columns without a Fizzy column', async () => {
+    const { result } = await map([
+      column(1, 'Triage', BASECAMP_COLUMN_TYPES.TRIAGE),
+      column(2, 'Not now', BASECAMP_COLUMN_TYPES.NOT_NOW),
+      column(3, 'Done', BASECAMP_COLUMN_TYPES.DONE)
+    ], [{ id: 'f-done', name: 'Done' }]);
+
+    expect(Object.values(result.mappings).map(action => action.type)).toEqual([
+      FIZZY_ACTIONS.KEEP_TRIAGE,
+      FIZZY_ACTIONS.NOT_NOW,
+      FIZZY_ACTIONS.CLOSE
+    ]);
+  });
+
+  it('creates a column instead of using an unconfirmed low-confidence match', async () => {
+    const { board, result } = await map([column(1, 'Reviw')], [{ id: 'f-review', name: 'Review' }]);
+
+    expect(board.columns.map(fizzyColumn => fizzyColumn.name)).toEqual(['Review', 'Reviw']);
+    expect(result.mappings[1].target).not.toBe('f-review');
+    expect(result.actions[0].notes).toEqual(['Possible match "Review" (71%) needs confirmation']);
+  });
+
+  it('creates missing columns only outside a dry run', async () => {
+    const dryRun = await map([column(1, 'Ideas')], [], { dryRun: true });
+    expect(dryRun.board.columns).toEqual([]);
+    expect(dryRun.result.choices[1]).toEqual({ basecamp_name: 'Ideas', choice: 'create', name: 'Ideas' });
+
+    const { board, result } = await map([column(1, 'Ideas')], []);
+    expect(board.columns.map(fizzyColumn => fizzyColumn.name)).toEqual(['Ideas']);
+    expect(result.mappings[1].target).toBe(board.columns[0].id);
+  });
+
+  it('prefers overrides by name over the saved preset', async () => {
+    const fizzyColumns = [{ id: 'f-a', name: 'A' }, { id: 'f-b', name: 'B' }];
+    const { result } = await map([column(1, 'Doing')], fizzyColumns, {
+      overrides: { doing: { choice: 'map', fizzy_column: 'B' } },
+      preset: { 1: { choice: 'map', fizzy_column_id: 'f-a' } }
+    });
+
+    expect(result.mappings[1].target).toBe('f-b');
+  });
+
+  it('uses the saved preset by column ID', async () => {
+    const { result } = await map([column(1, 'Doing')], [{ id: 'f-a', name: 'A' }], {
+      preset: { 1: { choice: 'not_now' } }
+    });
+
+    expect(result.mappings[1].type).toBe(FIZZY_ACTIONS.NOT_NOW);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { createSerialQueue, runWithConcurrency } from '../../src/utils/concurrency.js';
+
+describe('createSerialQueue', () => {
+  it('runs calls one at a time in order', async () => {
+    const events = [];
+    const enqueue = createSerialQueue(async (id, delay) => {
+      events.push(`start ${id}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      events.push(`end ${id}`);
+      return id;
+    });
+
+    const results = await Promise.all([enqueue(1, 10), enqueue(2, 0)]);
+
+    expect(results).toEqual([1, 2]);
+    expect(events).toEqual(['start 1', 'end 1', 'start 2', 'end 2']);
+  });
+
+  it('keeps running calls after one fails', async () => {
+    let calls = 0;
+    const enqueue = createSerialQueue(async () => {
+      calls++;
+      if (calls === 1) throw new Error('disk full');
+      return calls;
+    });
+
+    await expect(enqueue()).rejects.toThrow('disk full');
+    await expect(enqueue()).resolves.toBe(2);
+    await expect(enqueue()).resolves.toBe(3);
+  });
+});
+
+describe('runWithConcurrency', () => {
+  it('limits the number of workers in flight', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+
+    expect(peak).toBe(2);
+  });
+});
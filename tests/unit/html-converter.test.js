@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convertRichText, convertBasecampToFizzyHTML } from '../../src/mappers/html-converter.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/rich-text');
+
+const userMappings = {
+  1001: { basecamp_name: 'Jane Doe', fizzy_name: 'jane' }
+};
+
+/**
+ * Load a fixture pair: <name>.basecamp.html (input) and <name>.fizzy.html (expected output)
+ */
+function loadFixture(name) {
+  const read = suffix => fs.readFileSync(path.join(FIXTURES, `${name}.${suffix}.html`), 'utf-8').trim();
+  return { input: read('basecamp'), expected: read('fizzy') };
+}
+
+const fixtureNames = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.basecamp.html'))
+  .map(file => file.replace('.basecamp.html', ''));
+
+describe('convertRichText fixtures', () => {
+  it.each(fixtureNames)('converts %s', name => {
+    const { input, expected } = loadFixture(name);
+    expect(convertRichText(input, { userMappings }).html).toBe(expected);
+  });
+});
+
+describe('convertRichText', () => {
+  it('returns empty output for empty input', () => {
+    expect(convertRichText(null)).toEqual({ html: '', warnings: [] });
+    expect(convertBasecampToFizzyHTML('')).toBe('');
+  });
+
+  it('keeps the Basecamp name of unmapped mentions', () => {
+    const { input } = loadFixture('mention');
+    expect(convertRichText(input).html).toBe('<p>Thanks @Jane!</p>');
+  });
+
+  it('escapes mention names', () => {
+    const html = '<bc-attachment content-type="application/vnd.basecamp.mention"><figcaption>&lt;b&gt;Eve&lt;/b&gt;</figcaption></bc-attachment>';
+    expect(convertRichText(html).html).toBe('@&lt;b&gt;Eve&lt;/b&gt;');
+  });
+
+  it('warns when an attachment is kept as a link', () => {
+    const { warnings } = convertRichText(loadFixture('attachment-link').input);
+    expect(warnings).toEqual([{
+      element: 'bc-attachment',
+      action: 'linked',
+      message: 'Attachment "spec.pdf" kept as a link',
+      content_type: 'application/pdf'
+    }]);
+  });
+
+  it('removes attachments without a safe URL', () => {
+    const html = '<bc-attachment content-type="application/pdf" href="javascript:alert(1)" filename="x.pdf"></bc-attachment>';
+    const result = convertRichText(html);
+
+    expect(result.html).toBe('');
+    expect(result.warnings).toEqual([{
+      element: 'bc-attachment',
+      action: 'removed',
+      message: 'Removed attachment without a URL',
+      content_type: 'application/pdf'
+    }]);
+  });
+
+  it('warns about removed elements', () => {
+    const { warnings } = convertRichText(loadFixture('removed-elements').input);
+    expect(warnings.map(warning => [warning.element, warning.action])).toEqual([
+      ['script', 'removed'],
+      ['style', 'removed'],
+      ['iframe', 'removed'],
+      ['form', 'removed']
+    ]);
+  });
+
+  it('warns about dropped URLs and removed images', () => {
+    const { warnings } = convertRichText(loadFixture('unsafe-urls').input);
+    expect(warnings).toEqual([
+      { element: 'a', action: 'stripped', message: 'Removed unsafe href from <a> element' },
+      { element: 'img', action: 'removed', message: 'Removed image without a safe URL' },
+      { element: 'a', action: 'stripped', message: 'Removed unsafe href from <a> element' },
+      { element: 'img', action: 'removed', message: 'Removed image without a safe URL' }
+    ]);
+  });
+
+  it('warns about unwrapped unknown elements', () => {
+    const { warnings } = convertRichText(loadFixture('unwrap').input);
+    expect(warnings).toEqual([
+      { element: 'mark', action: 'unwrapped', message: 'Unwrapped unsupported <mark> element' }
+    ]);
+  });
+
+  it('converts the contents of action-text attachments', () => {
+    const { warnings } = convertRichText(loadFixture('action-text-attachment').input);
+    expect(warnings.map(warning => warning.element)).toEqual(['script', 'iframe']);
+  });
+
+  it('drops unsafe action-text attachment URLs', () => {
+    const html = '<action-text-attachment sgid="BAh7" url="javascript:alert(1)"></action-text-attachment>';
+    expect(convertRichText(html).html).toBe('<action-text-attachment sgid="BAh7"></action-text-attachment>');
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import fs from 'fs';
+
+const configDir = vi.hoisted(() => `${process.env.TMPDIR || '/tmp'}/bf-test-${process.pid}-link-rewriter`);
+vi.mock('../../src/config/config-manager.js', async importOriginal => ({
+  ...await importOriginal(),
+  getConfigDir: () => configDir
+}));
+vi.mock('../../src/utils/logger.js');
+
+const { findBasecampCardLinks, rewriteCardLinks, rewriteMigrationLinks } = await import('../../src/services/link-rewriter.js');
+const { createFakeBoard, createFakeFizzy } = await import('../helpers/fake-clients.js');
+
+const cardUrl = id => `https://3.basecamp.com/1/buckets/2/card_tables/cards/${id}`;
+
+afterAll(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('findBasecampCardLinks', () => {
+  it('finds card links with paths, queries and fragments', () => {
+    const html = [
+      `<a href="${cardUrl(1)}">one</a>`,
+      `<a href="${cardUrl(2)}/comments?page=2#comment_5">two</a>`,
+      `${cardUrl(3)} in text`
+    ].join(' ');
+
+    expect(findBasecampCardLinks(html)).toEqual(['1', '2', '3']);
+  });
+
+  it('ignores other Basecamp and Fizzy URLs', () => {
+    const html = [
+      '<a href="https://3.basecamp.com/1/buckets/2/todos/3">todo</a>',
+      '<a href="https://basecamp.com/1/buckets/2/card_tables/cards/4">classic</a>',
+      '<a href="https://fizzy.test/acme/cards/5">fizzy</a>'
+    ].join(' ');
+
+    expect(findBasecampCardLinks(html)).toEqual([]);
+    expect(findBasecampCardLinks(null)).toEqual([]);
+  });
+});
+
+describe('rewriteCardLinks', () => {
+  it('rewrites resolved links, keeps own and unresolved ones', () => {
+    const html = `<a href="${cardUrl(1)}/comments">a</a> <a href="${cardUrl(2)}">b</a> <a href="${cardUrl(3)}">c</a>`;
+    const resolveUrl = (basecampId, url) => ({ 1: 'https://fizzy.test/acme/cards/7', 2: url })[basecampId] || null;
+
+    expect(rewriteCardLinks(html, resolveUrl)).toEqual({
+      html: `<a href="https://fizzy.test/acme/cards/7">a</a> <a href="${cardUrl(2)}">b</a> <a href="${cardUrl(3)}">c</a>`,
+      rewritten: 1,
+      unresolved: ['3']
+    });
+  });
+});
+
+describe('rewriteMigrationLinks', () => {
+  it('reports a link that stays unresolved only once', async () => {
+    const board = createFakeBoard();
+    const fizzyClient = createFakeFizzy(board);
+    await fizzyClient.createCard('acme', 'board-1', {
+      title: 'Linking',
+      description: `<p><a href="${cardUrl(20)}">a</a> <a href="${cardUrl(20)}/comments">b</a></p>`
+    });
+    const migration = {
+      migration_id: 'm1',
+      target: { account_slug: 'acme' },
+      existing_cards: { 10: 1 },
+      pending_links: { 1: { description: true, comments: false } },
+      warnings: [],
+      metadata: {}
+    };
+
+    await rewriteMigrationLinks(fizzyClient, migration);
+    await rewriteMigrationLinks(fizzyClient, migration);
+
+    expect(migration.warnings.map(warning => warning.context)).toEqual([
+      { fizzy_card_number: '1', basecamp_id: '20' }
+    ]);
+    expect(migration.pending_links).toEqual({ 1: { description: true, comments: false } });
+  });
+});
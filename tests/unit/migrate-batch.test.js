@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const config = {
+  mappings: {
+    users: {},
+    columns: { 111: { 7: { choice: 'not_now' } } }
+  }
+};
+
+vi.mock('../../src/config/config-manager.js', async importOriginal => ({
+  ...await importOriginal(),
+  loadConfig: async () => config,
+  isBasecampAuthenticated: () => true,
+  isFizzyAuthenticated: () => true
+}));
+vi.mock('../../src/clients/basecamp-client.js', () => ({
+  BasecampClient: class {
+    async getProject(projectId) {
+      return { id: projectId, name: 'Project' };
+    }
+    async getCardTables() {
+      return [{ id: 111, title: 'Cards' }, { id: 222, title: 'Bugs' }];
+    }
+  }
+}));
+vi.mock('../../src/clients/fizzy-client.js', () => ({ FizzyClient: class {} }));
+vi.mock('../../src/services/batch-migration.js', async importOriginal => ({
+  ...await importOriginal(),
+  runBatchMigration: vi.fn(async () => [])
+}));
+vi.mock('../../src/utils/logger.js');
+
+const { migrateBatchCommand } = await import('../../src/commands/migrate-batch.js');
+const { runBatchMigration } = await import('../../src/services/batch-migration.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-batch-'));
+const manifestFile = path.join(dir, 'manifest.json');
+const planFile = path.join(dir, 'plan.yml');
+
+fs.writeFileSync(manifestFile, JSON.stringify({
+  migrations: [{ project: '1', account: 'acme', create_board: '{cardtable}' }]
+}));
+fs.writeFileSync(planFile, [
+  'columns:',
+  '  Doing:',
+  '    map: In progress',
+  'users:',
+  '  jane@example.com: skip'
+].join('\n'));
+
+beforeEach(() => {
+  runBatchMigration.mockClear();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('migrateBatchCommand', () => {
+  it('gives each card table its saved column preset', async () => {
+    await migrateBatchCommand(manifestFile, { yes: true });
+
+    const [, jobs, options] = runBatchMigration.mock.calls[0];
+    expect(jobs.map(job => job.options.columnPreset)).toEqual([{ 7: { choice: 'not_now' } }, {}]);
+    expect(jobs.map(job => job.options.columnOverrides)).toEqual([{}, {}]);
+    expect(options.userOverrides).toEqual({});
+  });
+
+  it('applies the plan column and user overrides to every card table', async () => {
+    await migrateBatchCommand(manifestFile, { yes: true, plan: planFile });
+
+    const [, jobs, options] = runBatchMigration.mock.calls[0];
+    const overrides = { Doing: { choice: 'map', fizzy_column: 'In progress' } };
+    expect(jobs.map(job => job.options.columnOverrides)).toEqual([overrides, overrides]);
+    expect(options.userOverrides).toEqual({ 'jane@example.com': null });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { validateMigrationPlan } from '../../src/config/migration-plan.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+/**
+ * Validate a plan that must be rejected and return the error
+ */
+function reject(raw) {
+  try {
+    validateMigrationPlan(raw);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error;
+  }
+  throw new Error('Plan was accepted');
+}
+
+describe('validateMigrationPlan', () => {
+  it('normalizes a full plan', () => {
+    const plan = validateMigrationPlan({
+      source: { project: 123, cardtable: '456' },
+      target: { account: 'acme', create_board: 'Roadmap' },
+      columns: {
+        Triage: 'triage',
+        Doing: { map: 'In progress' },
+        Review: { create: ' Code review ' }
+      },
+      users: { 'jane@example.com': 'jane@fizzy.test', 42: 'skip', 43: null },
+      options: { update_existing: true, due_dates: 'none', on_hold: 'column' },
+      tags: { identity_tag: true, migrated: true, rules: [{ keyword: 'bug', tag: 'Bug' }] },
+      batch: { size: 20 }
+    });
+
+    expect(plan).toEqual({
+      source: { project: '123', cardtable: '456' },
+      target: { account: '/acme', create_board: 'Roadmap' },
+      columns: {
+        Triage: { choice: 'triage' },
+        Doing: { choice: 'map', fizzy_column: 'In progress' },
+        Review: { choice: 'create', name: 'Code review' }
+      },
+      users: { 'jane@example.com': 'jane@fizzy.test', 42: null, 43: null },
+      options: { updateExisting: true, dueDates: 'none', onHold: 'column', identityTag: true, batchSize: 20 },
+      tags: { migrated: 'migrated-from-basecamp', rules: [{ keyword: 'bug', tag: 'Bug' }] }
+    });
+  });
+
+  it('accepts an empty plan', () => {
+    expect(validateMigrationPlan({})).toEqual({
+      source: {}, target: {}, columns: {}, users: {}, options: {}, tags: {}
+    });
+  });
+
+  it('rejects anything but a mapping', () => {
+    expect(reject(['source']).field).toBe('plan');
+    expect(reject(null).field).toBe('plan');
+  });
+
+  it('names unknown fields and the allowed ones', () => {
+    expect(reject({ sources: {} }).message).toBe(
+      'Unknown field sources (expected one of: source, target, columns, users, options, tags, batch)'
+    );
+    expect(reject({ source: { project: 1, board: 2 } }).field).toBe('source.board');
+    expect(reject({ options: { dry_run: true } }).field).toBe('options.dry_run');
+    expect(reject({ tags: { identity: true } }).field).toBe('tags.identity');
+  });
+
+  it('rejects both an existing and a new board', () => {
+    expect(reject({ target: { board: 1, create_board: 'New' } }).message).toBe(
+      'Use either target.board or target.create_board, not both'
+    );
+  });
+
+  it('checks option types and values', () => {
+    expect(reject({ options: { update_existing: 'yes' } }).message).toBe('options.update_existing must be true or false');
+    expect(reject({ options: { provenance: 'sometimes' } }).message).toBe(
+      'options.provenance must be one of: always, unmapped, never'
+    );
+    expect(reject({ batch: { size: 0 } }).message).toBe('batch.size must be a positive whole number');
+  });
+
+  it('rejects invalid column choices', () => {
+    expect(reject({ columns: { Doing: 'map' } }).field).toBe('columns.Doing');
+    expect(reject({ columns: { Doing: { map: 'A', create: 'B' } } }).field).toBe('columns.Doing');
+    expect(reject({ columns: { Doing: { map: '' } } }).field).toBe('columns.Doing.map');
+  });
+
+  it('rejects invalid tag rules', () => {
+    expect(reject({ tags: { rules: [{ tag: 'bug' }] } }).message).toBe('tags.rules[0] needs either keyword or pattern');
+    expect(reject({ tags: { rules: [{ pattern: '(', tag: 'bug' }] } }).field).toBe('tags.rules[0].pattern');
+  });
+});
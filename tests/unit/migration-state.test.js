@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getProcessedCards,
+  markCardStarted,
+  isCardInProgress,
+  markCardProcessed,
+  markPhaseCompleted,
+  isPhaseCompleted,
+  addFailedItem,
+  removeFailedItem,
+  getSyncMark,
+  setSyncMark
+} from '../../src/state/migration-state.js';
+
+describe('card progress', () => {
+  it('tracks processed cards by ID per column', () => {
+    const migration = {};
+
+    markCardProcessed(migration, 100, 1);
+    markCardProcessed(migration, 100, '2');
+    markCardProcessed(migration, 200, 3);
+
+    expect(getProcessedCards(migration, 100)).toEqual(new Set(['1', '2']));
+    expect(getProcessedCards(migration, '200')).toEqual(new Set(['3']));
+    expect(getProcessedCards(migration, 300)).toEqual(new Set());
+  });
+
+  it('clears a started card once it is processed', () => {
+    const migration = {};
+
+    markCardStarted(migration, 1);
+    markCardStarted(migration, '1');
+    markCardStarted(migration, 2);
+    expect(migration.cards_in_progress).toEqual(['1', '2']);
+    expect(isCardInProgress(migration, '1')).toBe(true);
+
+    markCardProcessed(migration, 100, 1);
+    expect(isCardInProgress(migration, 1)).toBe(false);
+    expect(isCardInProgress(migration, 2)).toBe(true);
+  });
+});
+
+describe('phases', () => {
+  it('records each completed phase once', () => {
+    const migration = {};
+
+    markPhaseCompleted(migration, 'discovery');
+    markPhaseCompleted(migration, 'discovery');
+
+    expect(migration.completed_phases).toEqual(['discovery']);
+    expect(isPhaseCompleted(migration, 'discovery')).toBe(true);
+    expect(isPhaseCompleted(migration, 'user_mapping')).toBe(false);
+  });
+});
+
+describe('failed items', () => {
+  it('removes a failed item by type and Basecamp ID', () => {
+    const migration = { failed_items: [] };
+
+    addFailedItem(migration, 'card', { id: 1, title: 'First' }, new Error('boom'));
+    addFailedItem(migration, 'comment', { id: 1 }, new Error('boom'));
+
+    expect(removeFailedItem(migration, 'card', '1')).toBe(true);
+    expect(removeFailedItem(migration, 'card', 1)).toBe(false);
+    expect(migration.failed_items.map(item => [item.type, item.basecamp_id, item.title])).toEqual([
+      ['comment', 1, 'Unknown']
+    ]);
+  });
+});
+
+describe('sync marks', () => {
+  it('stores a high-water mark per card table', () => {
+    const migration = {};
+
+    expect(getSyncMark(migration, 10)).toBeNull();
+    setSyncMark(migration, 10, '2024-01-01T00:00:00Z');
+
+    expect(getSyncMark(migration, 10)).toBe('2024-01-01T00:00:00Z');
+    expect(getSyncMark(migration, 20)).toBeNull();
+  });
+});
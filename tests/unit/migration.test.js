@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+
+// Migration state and the card ledger are written under a throwaway config dir
+const configDir = vi.hoisted(() => `${process.env.TMPDIR || '/tmp'}/bf-test-${process.pid}-migration`);
+vi.mock('../../src/config/config-manager.js', async importOriginal => ({
+  ...await importOriginal(),
+  getConfigDir: () => configDir
+}));
+vi.mock('../../src/utils/logger.js');
+
+const { runMigration, resumeMigration } = await import('../../src/services/migration.js');
+const { listMigrations, loadMigrationState } = await import('../../src/state/migration-state.js');
+const { createFakeBasecamp, createFakeBoard, createFakeFizzy } = await import('../helpers/fake-clients.js');
+
+const source = { projectId: 1, cardTableId: 10 };
+const target = { accountSlug: 'acme', boardId: 'board-1' };
+const userMappings = { 501: { basecamp_name: 'Jane', fizzy_id: 'user-1', fizzy_name: 'jane' } };
+
+function basecampCard(id, title) {
+  return {
+    id,
+    title,
+    content: `<div>${title}</div>`,
+    parent: { id: 100, title: 'Doing' },
+    assignees: [{ id: 501, name: 'Jane' }],
+    steps: [{ title: `${title} step`, completed: false }],
+    comments_count: 1
+  };
+}
+
+function createBasecamp() {
+  return createFakeBasecamp({
+    cardTable: { id: 10, title: 'Cards', lists: [{ id: 100, title: 'Doing' }] },
+    cards: { 100: [basecampCard(1, 'First'), basecampCard(2, 'Second')] },
+    comments: {
+      1: [{ id: 91, content: '<div>Hi</div>', creator: { id: 501, name: 'Jane' }, created_at: '2024-01-01T00:00:00Z' }],
+      2: [{ id: 92, content: '<div>Yo</div>', creator: { id: 501, name: 'Jane' }, created_at: '2024-01-01T00:00:00Z' }]
+    }
+  });
+}
+
+async function loadOnlyMigration() {
+  const [summary] = await listMigrations();
+  return loadMigrationState(summary.migration_id);
+}
+
+beforeEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('resuming a migration', () => {
+  it('finishes a card that was created just before the run stopped', async () => {
+    const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+    const options = { migrateComments: true, batchSize: 1, userMappings };
+
+    // The first run stops for good right after creating its first card
+    const stopped = createFakeFizzy(board, { afterCreateCard: () => new Promise(() => {}) });
+    runMigration({ basecampClient: createBasecamp(), fizzyClient: stopped }, source, target, options);
+    await vi.waitFor(() => expect(board.cards).toHaveLength(1));
+
+    const migration = await loadOnlyMigration();
+    expect(migration.cards_in_progress).toEqual(['1']);
+
+    const resumed = await resumeMigration(
+      { basecampClient: createBasecamp(), fizzyClient: createFakeFizzy(board) },
+      migration
+    );
+
+    expect(resumed.status).toBe('completed');
+    expect(resumed.cards_in_progress).toEqual([]);
+    expect(board.cards).toHaveLength(2);
+    for (const card of board.cards) {
+      expect(card.column).toEqual({ id: 'doing' });
+      expect(card.assignees).toEqual(['user-1']);
+      expect(card.steps).toHaveLength(1);
+      expect(card.comments).toHaveLength(1);
+    }
+  });
+
+  it('skips cards finished by the earlier run', async () => {
+    const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+    const options = { migrateComments: true, batchSize: 1, userMappings };
+
+    await runMigration({ basecampClient: createBasecamp(), fizzyClient: createFakeFizzy(board) }, source, target, options);
+
+    const migration = await loadOnlyMigration();
+    migration.processed_cards = {};
+    const resumed = await resumeMigration(
+      { basecampClient: createBasecamp(), fizzyClient: createFakeFizzy(board) },
+      migration
+    );
+
+    expect(resumed.progress.skipped_cards).toBe(2);
+    expect(board.cards).toHaveLength(2);
+    expect(board.cards.map(card => card.comments.length)).toEqual([1, 1]);
+  });
+  it('resumes by card ID when Basecamp cards were added or reordered', async () => {
+    const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+    const options = { batchSize: 1, userMappings };
+
+    // The first run finishes card 1 and stops after creating card 2
+    const stopped = createFakeFizzy(board, {
+      afterCreateCard: card => card.title === 'Second' ? new Promise(() => {}) : undefined
+    });
+    runMigration({ basecampClient: createBasecamp(), fizzyClient: stopped }, source, target, options);
+    await vi.waitFor(() => expect(board.cards).toHaveLength(2));
+
+    const migration = await loadOnlyMigration();
+    expect(migration.processed_cards).toEqual({ 100: ['1'] });
+    board.cards[0].title = 'Edited in Fizzy';
+
+    const basecampClient = createFakeBasecamp({
+      cardTable: { id: 10, title: 'Cards', lists: [{ id: 100, title: 'Doing' }] },
+      cards: { 100: [basecampCard(3, 'Third'), basecampCard(2, 'Second'), basecampCard(1, 'First')] }
+    });
+    const resumed = await resumeMigration({ basecampClient, fizzyClient: createFakeFizzy(board) }, migration);
+
+    expect(resumed.processed_cards[100].sort()).toEqual(['1', '2', '3']);
+    expect(board.cards.map(card => card.title)).toEqual(['Edited in Fizzy', 'Second', 'Third']);
+    expect(board.cards[1].steps).toHaveLength(1);
+  });
+});
+
+describe('backdating', () => {
+  const backdated = { ...basecampCard(1, 'First'), created_at: '2020-05-01T10:00:00.000Z' };
+  const createBasecampWithDate = () => createFakeBasecamp({
+    cardTable: { id: 10, title: 'Cards', lists: [{ id: 100, title: 'Doing' }] },
+    cards: { 100: [backdated] }
+  });
+
+  it('counts cards Fizzy backdated', async () => {
+    const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+    const migration = await runMigration(
+      { basecampClient: createBasecampWithDate(), fizzyClient: createFakeFizzy(board) },
+      source, target, { userMappings }
+    );
+
+    expect(migration.metadata.cards_backdated).toBe(1);
+    expect(migration.warnings.filter(warning => warning.context.basecamp_created_at)).toEqual([]);
+  });
+
+  it('warns when Fizzy ignored the creation time', async () => {
+    const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+    const fizzyClient = createFakeFizzy(board, {
+      afterCreateCard: card => { card.created_at = '2026-01-01T00:00:00.000Z'; }
+    });
+    const migration = await runMigration({ basecampClient: createBasecampWithDate(), fizzyClient }, source, target, { userMappings });
+
+    expect(migration.metadata.cards_not_backdated).toBe(1);
+    expect(migration.warnings.find(warning => warning.context.basecamp_created_at)?.context).toEqual({
+      fizzy_card_number: 1,
+      basecamp_created_at: '2020-05-01T10:00:00.000Z',
+      fizzy_created_at: '2026-01-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('updating placement', () => {
+  it('moves a card from Maybe? back to Not Now', async () => {
+    const board = createFakeBoard();
+    const laterCard = { ...basecampCard(3, 'Later'), parent: { id: 300, title: 'Not now' } };
+    const createBasecampLater = () => createFakeBasecamp({
+      cardTable: { id: 10, title: 'Cards', lists: [{ id: 300, title: 'Not now', type: 'Kanban::NotNowColumn' }] },
+      cards: { 300: [laterCard] }
+    });
+
+    await runMigration({ basecampClient: createBasecampLater(), fizzyClient: createFakeFizzy(board) }, source, target, { userMappings });
+    expect(board.cards[0].postponed).toBe(true);
+
+    // Someone pulled the card back into Maybe? in Fizzy
+    board.cards[0].postponed = false;
+    await runMigration(
+      { basecampClient: createBasecampLater(), fizzyClient: createFakeFizzy(board) },
+      source, target, { userMappings, updateExisting: true }
+    );
+
+    expect(board.cards).toHaveLength(1);
+    expect(board.cards[0].postponed).toBe(true);
+  });
+});
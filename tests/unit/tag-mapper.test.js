@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { readTagRules, mergeTagRules, buildCardTags, normalizeTagTitle } from '../../src/mappers/tag-mapper.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+const card = { id: 1, title: 'Fix login BUG on iOS' };
+const placed = { column_action: { type: 'triage_to_column' }, basecamp_parent_title: 'Doing' };
+
+describe('readTagRules', () => {
+  it('normalizes the migrated tag', () => {
+    expect(readTagRules({ migrated: true })).toEqual({ migrated: 'migrated-from-basecamp' });
+    expect(readTagRules({ migrated: ' imported ' })).toEqual({ migrated: 'imported' });
+    expect(readTagRules({ migrated: false })).toEqual({ migrated: null });
+  });
+
+  it('keeps only the fields that are set', () => {
+    expect(readTagRules({ project: true })).toEqual({ project: true });
+    expect(readTagRules(undefined)).toEqual({});
+  });
+
+  it('names the invalid field', () => {
+    expect(() => readTagRules({ project: 'yes' })).toThrow(new ValidationError('tag_rules.project must be true or false'));
+    expect(() => readTagRules({ rules: [{ keyword: 'a', pattern: 'b', tag: 'c' }] }, 'tags'))
+      .toThrow('tags.rules[0] needs either keyword or pattern');
+    expect(() => readTagRules({ rules: [{ keyword: 'a', tag: 'b', color: 'red' }] }))
+      .toThrow('Unknown field tag_rules.rules[0].color');
+  });
+});
+
+describe('mergeTagRules', () => {
+  it('lets later sources win field by field', () => {
+    expect(mergeTagRules({ migrated: 'a', project: true }, undefined, { migrated: null })).toEqual({
+      migrated: null,
+      project: true
+    });
+  });
+});
+
+describe('buildCardTags', () => {
+  it('adds no tags without rules', () => {
+    expect(buildCardTags(card, placed)).toEqual([]);
+  });
+
+  it('applies keyword and pattern rules to the title', () => {
+    const tagRules = readTagRules({
+      rules: [
+        { keyword: 'bug', tag: 'Bug' },
+        { pattern: '\\bios\\b', flags: 'i', tag: 'Mobile App' },
+        { pattern: 'android', tag: 'android' }
+      ]
+    });
+
+    expect(buildCardTags(card, placed, tagRules)).toEqual(['bug', 'mobile-app']);
+  });
+
+  it('adds the migrated and project tags', () => {
+    const tagRules = readTagRules({ migrated: true, project: true });
+
+    expect(buildCardTags(card, placed, tagRules, { projectName: 'Web Site' })).toEqual([
+      'migrated-from-basecamp',
+      'web-site'
+    ]);
+  });
+
+  it('keeps the original column only for cards that lose it', () => {
+    const tagRules = { original_column: true };
+
+    expect(buildCardTags(card, placed, tagRules)).toEqual([]);
+    expect(buildCardTags(card, { ...placed, column_action: { type: 'close' } }, tagRules)).toEqual(['doing']);
+    expect(buildCardTags(card, { ...placed, completed: true }, tagRules)).toEqual(['doing']);
+  });
+
+  it('adds the on-hold tag and drops duplicates', () => {
+    const metadata = { column_action: { type: 'triage_to_column', tag: 'On hold' } };
+
+    expect(buildCardTags(card, metadata, { migrated: 'on-hold' })).toEqual(['on-hold']);
+  });
+});
+
+describe('normalizeTagTitle', () => {
+  it('normalizes titles the way Fizzy shows them', () => {
+    expect(normalizeTagTitle('#In Review')).toBe('in-review');
+    expect(normalizeTagTitle(null)).toBe('');
+  });
+});
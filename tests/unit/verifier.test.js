@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+
+const configDir = vi.hoisted(() => `${process.env.TMPDIR || '/tmp'}/bf-test-${process.pid}-verifier`);
+vi.mock('../../src/config/config-manager.js', async importOriginal => ({
+  ...await importOriginal(),
+  getConfigDir: () => configDir
+}));
+vi.mock('../../src/utils/logger.js');
+
+const { runMigration } = await import('../../src/services/migration.js');
+const { verifyMigration } = await import('../../src/services/verifier.js');
+const { createFakeBasecamp, createFakeBoard, createFakeFizzy } = await import('../helpers/fake-clients.js');
+
+const source = { projectId: 1, cardTableId: 10 };
+const target = { accountSlug: 'acme', boardId: 'board-1' };
+const userMappings = {
+  501: { basecamp_name: 'Jane', fizzy_id: 'user-1', fizzy_name: 'jane' },
+  502: { basecamp_name: 'Joe', fizzy_id: 'user-2', fizzy_name: 'joe' }
+};
+
+const basecamp = createFakeBasecamp({
+  cardTable: { id: 10, title: 'Cards', lists: [{ id: 100, title: 'Doing' }] },
+  cards: {
+    100: [{
+      id: 1,
+      title: 'First',
+      content: '<div>First</div>',
+      parent: { id: 100, title: 'Doing' },
+      assignees: [{ id: 501, name: 'Jane' }, { id: 502, name: 'Joe' }]
+    }]
+  }
+});
+
+async function migrate() {
+  const board = createFakeBoard({ columns: [{ id: 'doing', name: 'Doing' }] });
+  const fizzyClient = createFakeFizzy(board);
+  const migration = await runMigration({ basecampClient: basecamp, fizzyClient }, source, target, { userMappings });
+  return { board, migration, clients: { basecampClient: basecamp, fizzyClient } };
+}
+
+beforeEach(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('verifyMigration assignees', () => {
+  it('passes a card with every mapped assignee', async () => {
+    const { migration, clients } = await migrate();
+
+    const { results, failed } = await verifyMigration(clients, migration);
+
+    expect(failed).toBe(0);
+    expect(results[0].notes).toEqual([]);
+  });
+
+  it('only notes people assigned in Fizzy on top', async () => {
+    const { board, migration, clients } = await migrate();
+    board.cards[0].assignees.push('user-3');
+
+    const { results, failed } = await verifyMigration(clients, migration);
+
+    expect(failed).toBe(0);
+    expect(results[0].notes).toEqual(['1 more assignees than in Basecamp']);
+  });
+
+  it('fails a card missing a mapped assignee', async () => {
+    const { board, migration, clients } = await migrate();
+    board.cards[0].assignees = ['user-1', 'user-3'];
+
+    const { results, failed } = await verifyMigration(clients, migration);
+
+    expect(failed).toBe(1);
+    expect(results[0].failures).toEqual(['1 of 2 assignees missing']);
+  });
+});